@@ -58,7 +58,7 @@ async function example3_outputFiltering() {
   const llmOutput = `Your account information:
   Email: john.doe@example.com
   SSN: 123-45-6789
-  Phone: (555) 123-4567
+  Phone: (555) 234-5678
   Credit Card: 4532-1234-5678-9010`;
 
   console.log('Original LLM output:\n', llmOutput);
@@ -35,41 +35,12 @@ app.use((req, res, next) => {
 });
 
 // SENTINEL sanitization middleware (optional - for all routes)
-const sanitizeMiddleware = async (req, res, next) => {
-  // Skip for health checks
-  if (req.path === '/health') {
-    return next();
-  }
-
-  try {
-    // Sanitize request body
-    if (req.body && typeof req.body === 'object') {
-      for (const [key, value] of Object.entries(req.body)) {
-        if (typeof value === 'string') {
-          const result = await sentinel.protect(value);
-
-          if (result.threats.length > 0) {
-            console.warn(`⚠️  Threats detected in ${key}:`, result.threats);
-
-            // Option 1: Block the request
-            // return res.status(400).json({
-            //   error: 'Potentially malicious input detected',
-            //   threats: result.threats
-            // });
-
-            // Option 2: Allow but sanitize and log
-          }
-
-          req.body[key] = result.output;
-        }
-      }
-    }
-    next();
-  } catch (error) {
-    console.error('Sentinel middleware error:', error);
-    res.status(500).json({ error: 'Security validation failed' });
-  }
-};
+// Sanitizes top-level string fields of req.body and attaches results to req.sentinel.
+// Set rejectBlocked: false to allow blocked input through and only log it.
+const sanitizeMiddleware = sentinel.middleware({
+  rejectBlocked: true,
+  skip: (req) => req.path === '/health'
+});
 
 // Uncomment to enable global sanitization
 // app.use(sanitizeMiddleware);
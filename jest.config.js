@@ -7,17 +7,12 @@ export default {
     // Use node environment for testing
     testEnvironment: 'node',
 
-    // Transform ES modules
+    // No transform: sources run as native ES modules ("type": "module" in
+    // package.json, hence --experimental-vm-modules in the test script).
+    // .js files are treated as ESM from package.json, so they must not be
+    // listed in extensionsToTreatAsEsm.
     transform: {},
 
-    // Enable ES modules support
-    extensionsToTreatAsEsm: ['.js'],
-
-    // Module name mapper for imports
-    moduleNameMapper: {
-        '^(\\.{1,2}/.*)\\.js$': '$1'
-    },
-
     // Coverage settings
     collectCoverage: false,
     coverageDirectory: 'coverage',
@@ -10,29 +10,84 @@
 
 import { InputSanitizerBasic } from './layers/sanitizer-basic.js';
 import { OutputFilterBasic } from './layers/output-filter-basic.js';
-import { SentinelConfig } from './utils/config.js';
+import {
+    StreamingOutputFilter,
+    filterAsyncIterable,
+    createFilterTransformStream,
+    toAsyncIterable,
+    isStreamedResponse,
+    abortableIterable
+} from './layers/output-filter-stream.js';
+import { SentinelConfig, SentinelConfigError } from './utils/config.js';
 import { ThreatLogger } from './utils/threat-logger.js';
+import { verifyAuditLog } from './utils/audit-log.js';
+import { SentinelEmitter } from './utils/events.js';
+import { SentinelMetrics, METRICS_CONTENT_TYPE } from './utils/metrics.js';
+import { withSpan, setAttributes } from './utils/tracing.js';
+import { validators } from './utils/validators.js';
+import { RateLimiter, MemoryRateLimitStore } from './utils/rate-limiter.js';
+import { createExpressMiddleware } from './middleware/express.js';
+import { withSentinel } from './middleware/fetch.js';
+
+// Risk points contributed by a single threat of each severity.
+// Scores are compared against heuristicWarnThreshold/heuristicBlockThreshold.
+const SEVERITY_WEIGHTS = {
+    low: 10,
+    medium: 25,
+    high: 40,
+    critical: 70
+};
+
+// Monotonic clock with sub-millisecond resolution, for latency metrics
+const now = () => globalThis.performance?.now?.() ?? Date.now();
 
 /**
  * SENTINEL Community Edition
  * Provides basic input sanitization and output filtering
  */
-class Sentinel {
+class Sentinel extends SentinelEmitter {
+    /**
+     * @param {object|SentinelConfig} options - Raw options or a ready SentinelConfig
+     */
     constructor(options = {}) {
-        this.config = new SentinelConfig(options);
-        this.logger = new ThreatLogger(this.config);
+        super();
+        this.config = options instanceof SentinelConfig ? options : new SentinelConfig(options);
+        this.logger = new ThreatLogger(this.config, {
+            findSpans: text => this.outputFilter.findSpans(text)
+        });
         
         // Community Edition layers
         this.sanitizer = new InputSanitizerBasic(this.config);
         this.outputFilter = new OutputFilterBasic(this.config);
+        this.rateLimiter = new RateLimiter(this.config);
+        this.metricsCollector = new SentinelMetrics();
         
+        // Set once the missing rate limit key warning was logged
+        this.warnedMissingRateLimitKey = false;
+
         this.stats = {
             totalRequests: 0,
             threatsDetected: 0,
-            blocked: 0
+            blocked: 0,
+            rateLimited: 0
         };
 
         this._showWelcome();
+
+        if (this.config.presetName) {
+            this.logger.audit('SENTINEL_CREATED', { preset: this.config.presetName })
+                .catch(error => console.error('Failed to write audit entry:', error));
+        }
+    }
+
+    /**
+     * Create a Sentinel from a built-in or custom preset
+     * @param {string} name - Preset name, see SentinelConfig.listPresets()
+     * @param {object} overrides - Options applied on top of the preset
+     * @returns {Sentinel}
+     */
+    static fromPreset(name, overrides = {}) {
+        return new Sentinel(SentinelConfig.preset(name, overrides));
     }
 
     _showWelcome() {
@@ -60,21 +115,105 @@ class Sentinel {
     /**
      * Protect user input before sending to LLM
      * @param {string} input - Raw user input
+     * @param {object} context - Request context: { key, userId, ip, sessionId }.
+     *   Pass `rateLimit: false` when the caller already called checkRateLimit().
      * @returns {Promise<object>} - Sanitization result
      */
-    async protect(input) {
+    async protect(input, context = {}) {
+        const attributes = { 'sentinel.input.length': typeof input === 'string' ? input.length : 0 };
+
+        return withSpan(this.config, 'sentinel.protect', attributes, async (span) => {
+            const result = await this._protect(input, context);
+            setAttributes(span, {
+                'sentinel.threats.count': result.threats.length,
+                'sentinel.threat.types': [...new Set(result.threats.map(threat => threat.type))],
+                'sentinel.risk_score': result.riskScore,
+                'sentinel.decision': result.decision,
+                'sentinel.blocked': result.blocked,
+                'sentinel.rate_limited': result.rateLimit ? !result.rateLimit.allowed : undefined
+            });
+            return result;
+        });
+    }
+
+    async _protect(input, context) {
         this.stats.totalRequests++;
-        const startTime = Date.now();
+        const startTime = now();
+
+        let rateLimit = null;
+        if (context.rateLimit !== false && this.config.get('enableRateLimit', false)) {
+            rateLimit = await this.checkRateLimit(context);
+
+            // Rejected requests are not sanitized and carry no usable output
+            if (rateLimit && !rateLimit.allowed) {
+                return {
+                    original: input,
+                    output: '',
+                    sanitized: false,
+                    changes: [],
+                    threats: [],
+                    riskScore: 0,
+                    decision: 'blocked',
+                    blocked: true,
+                    blockReason: 'Rate limit exceeded',
+                    rateLimit,
+                    sessionId: context.sessionId,
+                    processingTime: Math.round(now() - startTime),
+                    edition: 'community'
+                };
+            }
+        }
 
         const result = await this.sanitizer.process(input);
+        if (rateLimit) {
+            result.rateLimit = rateLimit;
+        }
+        if (context.sessionId) {
+            result.sessionId = context.sessionId;
+        }
         
         if (result.threats.length > 0) {
             this.stats.threatsDetected += result.threats.length;
             await this.logger.logThreats(result);
+            for (const threat of result.threats) {
+                this._emit('threat', { sessionId: result.sessionId, threat });
+            }
+        }
+
+        // Score the threats and decide whether the input may proceed
+        const risk = this._assessRisk(result.threats);
+        result.riskScore = risk.score;
+        result.decision = risk.decision;
+        result.blocked = risk.decision === 'blocked';
+
+        if (result.blocked) {
+            result.blockReason = risk.reason;
+            this.stats.blocked++;
+            await this.logger.logBlocked(result);
+            this._emit('blocked', {
+                sessionId: result.sessionId,
+                stage: 'input',
+                reason: result.blockReason,
+                riskScore: result.riskScore,
+                threats: result.threats.length
+            });
         }
 
-        result.processingTime = Date.now() - startTime;
+        const durationMs = now() - startTime;
+        result.processingTime = Math.round(durationMs);
         result.edition = 'community';
+
+        this._emit('input:sanitized', {
+            sessionId: result.sessionId,
+            sanitized: result.sanitized,
+            changes: result.changes.length,
+            threats: result.threats.length,
+            riskScore: result.riskScore,
+            decision: result.decision,
+            blocked: result.blocked,
+            processingTime: result.processingTime,
+            durationMs
+        });
         
         // Add upgrade notice for detected threats
         if (result.threats.length > 0) {
@@ -84,50 +223,230 @@ class Sentinel {
         return result;
     }
 
+    /**
+     * Consume one request from the caller's rate limit budget. Without a
+     * client key the request is not rate limited: sharing one bucket would
+     * let any client throttle every other one.
+     * @param {object} context - { key, userId, ip, sessionId }; the first one set is the key
+     * @returns {Promise<object|null>} - { allowed, key, limit, remaining, resetAt, retryAfter, strategy },
+     *   or null when the context has no key
+     */
+    async checkRateLimit(context = {}) {
+        const key = context.key ?? context.userId ?? context.ip ?? context.sessionId;
+        if (key === undefined || key === null || key === '') {
+            if (!this.warnedMissingRateLimitKey) {
+                this.warnedMissingRateLimitKey = true;
+                await this.logger.warn('Rate limiting is enabled but a request had no key, userId, ip or sessionId; it was not rate limited');
+            }
+            return null;
+        }
+
+        const rateLimit = await this.rateLimiter.consume(String(key));
+
+        if (!rateLimit.allowed) {
+            this.stats.rateLimited++;
+            this.stats.blocked++;
+            await this.logger.logRateLimited({ rateLimit, sessionId: context.sessionId });
+            this._emit('ratelimit:exceeded', {
+                sessionId: context.sessionId,
+                key: rateLimit.key,
+                limit: rateLimit.limit,
+                retryAfter: rateLimit.retryAfter
+            });
+            this._emit('blocked', {
+                sessionId: context.sessionId,
+                stage: 'rate_limit',
+                reason: 'Rate limit exceeded',
+                riskScore: 0,
+                threats: 0
+            });
+        }
+
+        return rateLimit;
+    }
+
+    /**
+     * Compute a risk score from threat severities and map it to a decision
+     * @param {Array<object>} threats - Threats reported by the sanitizer
+     * @returns {{score: number, decision: string, reason: string|null}}
+     */
+    _assessRisk(threats = []) {
+        const score = threats.reduce(
+            (total, threat) => total + (SEVERITY_WEIGHTS[threat.severity] ?? SEVERITY_WEIGHTS.medium),
+            0
+        );
+        const warnThreshold = this.config.get('heuristicWarnThreshold', 30);
+        const blockThreshold = this.config.get('heuristicBlockThreshold', 70);
+
+        // A matched signature with action 'block' blocks regardless of score
+        const blocking = threats.find(threat => threat.action === 'block');
+        if (blocking) {
+            return {
+                score,
+                decision: 'blocked',
+                reason: `Signature ${blocking.signatureId} requires blocking`
+            };
+        }
+
+        if (score >= blockThreshold) {
+            return {
+                score,
+                decision: 'blocked',
+                reason: `Risk score ${score} reached block threshold ${blockThreshold}`
+            };
+        }
+
+        return {
+            score,
+            decision: score >= warnThreshold ? 'warn' : 'allowed',
+            reason: null
+        };
+    }
+
     /**
      * Filter LLM output before returning to user
      * @param {string} output - Raw LLM response
+     * @param {object} context - { sessionId }, reported in events
      * @returns {Promise<object>} - Filtering result
      */
-    async filterOutput(output) {
-        const startTime = Date.now();
+    async filterOutput(output, context = {}) {
+        const attributes = { 'sentinel.output.length': typeof output === 'string' ? output.length : 0 };
+        const startTime = now();
 
-        const result = await this.outputFilter.filter(output);
+        const result = await withSpan(this.config, 'sentinel.filter_output', attributes, async (span) => {
+            const filtered = await this.outputFilter.filter(output);
+            setAttributes(span, {
+                'sentinel.redactions.count': filtered.redactions.reduce((total, redaction) => total + redaction.count, 0),
+                'sentinel.redaction.types': filtered.redactions.map(redaction => redaction.detector),
+                'sentinel.candidates.count': filtered.candidates.length
+            });
+            return filtered;
+        });
         
-        result.processingTime = Date.now() - startTime;
+        const durationMs = now() - startTime;
+        result.processingTime = Math.round(durationMs);
         result.edition = 'community';
 
+        const count = result.redactions.reduce((total, redaction) => total + redaction.count, 0);
+        this._emit('output:filtered', {
+            sessionId: context.sessionId,
+            filtered: result.filtered,
+            redactions: count,
+            candidates: result.candidates.length,
+            processingTime: result.processingTime,
+            durationMs,
+            stream: false
+        });
+        if (count > 0) {
+            this._emit('output:redacted', {
+                sessionId: context.sessionId,
+                redactions: result.redactions,
+                count,
+                stream: false
+            });
+        }
+
         return result;
     }
 
+    /**
+     * Create an incremental output filter for streamed LLM responses
+     * @param {object} options - { lookahead, maxBuffer, onRedaction, sessionId }
+     * @returns {StreamingOutputFilter} - Call push(chunk) per chunk, then flush()
+     */
+    createOutputStream(options = {}) {
+        const { onRedaction, sessionId } = options;
+        return new StreamingOutputFilter(this.outputFilter, {
+            ...options,
+            onRedaction: (redaction) => {
+                this._emit('output:redacted', {
+                    sessionId,
+                    redactions: [redaction],
+                    count: redaction.count,
+                    stream: true
+                });
+                if (onRedaction) {
+                    onRedaction(redaction);
+                }
+            }
+        });
+    }
+
+    /**
+     * Filter an async iterable of LLM output chunks
+     * @param {AsyncIterable<string|Uint8Array>} source - Streamed LLM output
+     * @param {object} options - { lookahead, maxBuffer, onRedaction }
+     * @returns {AsyncGenerator<string>} - Filtered chunks
+     */
+    filterOutputStream(source, options = {}) {
+        return filterAsyncIterable(source, this.createOutputStream(options));
+    }
+
     /**
      * Full pipeline: protect → LLM → filter
      * @param {string} input - User input
-     * @param {function} llmCallback - Async function that calls your LLM
+     * @param {function} llmCallback - Async function that calls your LLM.
+     *   May return a string, an async iterable of chunks or a ReadableStream.
+     * @param {object} context - Request context passed to protect()
      * @returns {Promise<object>} - Pipeline result
      */
-    async pipeline(input, llmCallback) {
+    async pipeline(input, llmCallback, context = {}) {
         // Protect input
-        const inputResult = await this.protect(input);
-        
-        if (inputResult.threats.length > 0) {
-            console.warn('[SENTINEL] Threats detected in input:', inputResult.threats);
+        // Threats are logged by protect(), through logPrivacy when it is on
+        const inputResult = await this.protect(input, context);
+
+        // Never forward blocked input to the LLM
+        if (inputResult.blocked) {
+            return {
+                success: false,
+                blocked: true,
+                error: 'Input blocked: ' + inputResult.blockReason,
+                riskScore: inputResult.riskScore,
+                rateLimit: inputResult.rateLimit,
+                inputThreats: inputResult.threats,
+                inputResult,
+                edition: 'community'
+            };
         }
 
         // Call LLM with sanitized input
         let llmResponse;
         try {
-            llmResponse = await llmCallback(inputResult.output);
+            const attributes = { 'sentinel.input.length': inputResult.output.length };
+            llmResponse = await withSpan(this.config, 'sentinel.llm', attributes, async (span) => {
+                let response = await llmCallback(inputResult.output);
+
+                // Collect streamed responses so the whole text is filtered at once.
+                // Anything else goes to filterOutput() as it is.
+                const streamed = isStreamedResponse(response);
+                if (streamed) {
+                    const decoder = new TextDecoder();
+                    let text = '';
+                    for await (const chunk of toAsyncIterable(response)) {
+                        text += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+                    }
+                    response = text + decoder.decode();
+                }
+
+                setAttributes(span, {
+                    'sentinel.output.length': typeof response === 'string' ? response.length : undefined,
+                    'sentinel.streamed': streamed
+                });
+                return response;
+            });
         } catch (error) {
+            await this.logger.logError(error, { stage: 'pipeline' });
+            this._emit('pipeline:error', { sessionId: context.sessionId, stage: 'llm', error: error.message });
             return {
                 success: false,
                 error: 'LLM call failed: ' + error.message,
-                inputResult
+                inputResult,
+                edition: 'community'
             };
         }
 
         // Filter output
-        const outputResult = await this.filterOutput(llmResponse);
+        const outputResult = await this.filterOutput(llmResponse, context);
 
         return {
             success: true,
@@ -139,6 +458,237 @@ class Sentinel {
         };
     }
 
+    /**
+     * Streaming pipeline: protect → LLM stream → incremental filter.
+     * The returned `stream` yields filtered chunks; `summary` resolves once the
+     * stream has been consumed, cancelled or has failed.
+     * @param {string} input - User input
+     * @param {function} llmCallback - (safeInput, { signal }) => string | AsyncIterable | ReadableStream
+     * @param {object} options - { signal: AbortSignal, context, lookahead, maxBuffer, onRedaction }
+     * @returns {Promise<object>} - { success, stream, summary, inputResult }
+     */
+    async pipelineStream(input, llmCallback, options = {}) {
+        const { signal, context = {} } = options;
+        const inputResult = await this.protect(input, context);
+
+        if (inputResult.blocked) {
+            return {
+                success: false,
+                blocked: true,
+                error: 'Input blocked: ' + inputResult.blockReason,
+                riskScore: inputResult.riskScore,
+                rateLimit: inputResult.rateLimit,
+                inputThreats: inputResult.threats,
+                inputResult,
+                stream: null,
+                summary: null,
+                edition: 'community'
+            };
+        }
+
+        let source;
+        try {
+            // The span covers the callback only; the stream is consumed lazily
+            const attributes = { 'sentinel.input.length': inputResult.output.length, 'sentinel.streamed': true };
+            source = toAsyncIterable(await withSpan(this.config, 'sentinel.llm', attributes,
+                () => llmCallback(inputResult.output, { signal })));
+        } catch (error) {
+            await this.logger.logError(error, { stage: 'pipelineStream' });
+            this._emit('pipeline:error', { sessionId: context.sessionId, stage: 'llm', error: error.message });
+            return {
+                success: false,
+                error: 'LLM call failed: ' + error.message,
+                inputResult,
+                stream: null,
+                summary: null,
+                edition: 'community'
+            };
+        }
+
+        const streamFilter = this.createOutputStream({ ...options, sessionId: context.sessionId });
+        let resolveSummary;
+        const summary = new Promise(resolve => { resolveSummary = resolve; });
+
+        const finish = (status) => {
+            const { redactions, candidates, chunks } = streamFilter.getSummary();
+            resolveSummary({
+                success: !status.error && !status.aborted,
+                aborted: Boolean(status.aborted),
+                error: status.error,
+                redactions,
+                candidates,
+                chunks,
+                inputThreats: inputResult.threats,
+                riskScore: inputResult.riskScore,
+                edition: 'community'
+            });
+        };
+
+        const logger = this.logger;
+        const emit = this._emit.bind(this);
+        async function * run() {
+            // Stays "aborted" if the consumer stops iterating early
+            let status = { aborted: true };
+            try {
+                for await (const chunk of filterAsyncIterable(abortableIterable(source, signal), streamFilter)) {
+                    // Drop anything still buffered once the caller has cancelled
+                    if (signal?.aborted) break;
+                    yield chunk;
+                }
+                status = signal?.aborted ? { aborted: true } : {};
+            } catch (error) {
+                await logger.logError(error, { stage: 'pipelineStream' });
+                emit('pipeline:error', { sessionId: context.sessionId, stage: 'stream', error: error.message });
+                status = { error: 'LLM stream failed: ' + error.message };
+            } finally {
+                finish(status);
+            }
+        }
+
+        return {
+            success: true,
+            stream: run(),
+            summary,
+            inputResult,
+            edition: 'community'
+        };
+    }
+
+    /**
+     * Express/Connect middleware that protects request fields and filters
+     * response fields
+     * @param {object} options - { body, query, rejectBlocked, blockStatus, blockBody, response, skip }
+     * @returns {function} - (req, res, next) middleware
+     */
+    middleware(options = {}) {
+        return createExpressMiddleware(this, options);
+    }
+
+    /**
+     * Wrap a Fetch API handler (Next.js route handler, edge function)
+     * @param {function} handler - (request, ...args) => Response
+     * @param {object} options - { body, rejectBlocked, blockStatus, blockBody, response, filterStreams, skip }
+     * @returns {function} - Wrapped handler
+     */
+    withSentinel(handler, options = {}) {
+        return withSentinel(handler, { ...options, sentinel: this });
+    }
+
+    /**
+     * Apply new configuration to every layer without restarting. Custom
+     * signature and detector sets are compiled before anything is swapped,
+     * so an invalid update leaves the current configuration in place.
+     * @param {object|SentinelConfig} changes - Options to update, or a complete SentinelConfig
+     * @param {object} auditDetails - Extra fields for the audit entry
+     * @returns {Promise<object>} Changed keys: { key: { from, to } }
+     */
+    async reconfigure(changes = {}, auditDetails = {}) {
+        let next = changes;
+        if (!(changes instanceof SentinelConfig)) {
+            next = this.config.clone();
+            next.update(changes);
+        }
+
+        const commits = [
+            this.sanitizer.prepareConfig(next),
+            this.outputFilter.prepareConfig(next)
+        ];
+        const diff = this.config.diff(next);
+
+        for (const commit of commits) {
+            commit();
+        }
+        this.logger.updateConfig(next);
+        this.rateLimiter.updateConfig(next);
+        this.config = next;
+
+        if (Object.keys(diff).length > 0) {
+            await this.logger.audit('SENTINEL_RECONFIGURED', { ...auditDetails, changed: Object.keys(diff), diff });
+            this._emit('config:changed', { changed: Object.keys(diff), diff });
+        }
+
+        return diff;
+    }
+
+    /**
+     * Apply a config file now and again whenever it changes (Node.js only).
+     * Loads use SentinelConfig.load() with the current preset, so options
+     * passed in code still take precedence over the file, and so do changes
+     * made with reconfigure() since. A file that fails to load or validate is
+     * logged and the current configuration is kept.
+     * @param {string} file - JSON or flat YAML config file
+     * @param {object} options
+     * @param {number} options.interval - Poll interval in ms (default 2000)
+     * @param {object} options.env - Environment, defaults to process.env
+     * @param {object} options.options - Explicit options, defaults to those passed in code
+     * @returns {Promise<function>} Stops watching
+     */
+    async watchConfig(file, { interval = 2000, env, options } = {}) {
+        const fs = await import('fs');
+        const preset = this.config.presetName;
+        const explicit = options ?? Object.fromEntries(
+            Object.entries(this.config.getAll()).filter(([key]) => this.config.getSource(key) === 'options')
+        );
+
+        const reload = async () => {
+            try {
+                const next = await SentinelConfig.load({ preset, file, env, options: explicit });
+                next.update(Object.fromEntries(
+                    Object.entries(this.config.getAll()).filter(([key]) => this.config.getSource(key) === 'runtime')
+                ));
+                await this.reconfigure(next, { file });
+            } catch (error) {
+                await this.logger.logError(error, { stage: 'reconfigure', file });
+            }
+        };
+
+        const listener = (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                reload();
+            }
+        };
+
+        // The file may already differ from the current configuration
+        await reload();
+        fs.watchFile(file, { interval, persistent: false }, listener);
+
+        return () => fs.unwatchFile(file, listener);
+    }
+
+    /**
+     * Flush queued log entries and close log files. Call on shutdown.
+     */
+    async close() {
+        await this.logger.close();
+    }
+
+    /**
+     * Emit an event with the fields every payload carries:
+     * { event, timestamp, sessionId, ...data }
+     * @param {string} event - Event name
+     * @param {object} data - Event-specific fields
+     */
+    _emit(event, data = {}) {
+        const payload = {
+            event,
+            timestamp: new Date().toISOString(),
+            ...data,
+            sessionId: data.sessionId ?? null
+        };
+
+        this.metricsCollector.observe(event, payload);
+        this.emit(event, this.logger.scrub(payload));
+    }
+
+    /**
+     * Render metrics in the OpenMetrics text format, for a /metrics route.
+     * Serve with Content-Type METRICS_CONTENT_TYPE.
+     * @returns {string}
+     */
+    metrics() {
+        return this.metricsCollector.render();
+    }
+
     /**
      * Get current statistics
      */
@@ -146,6 +696,7 @@ class Sentinel {
         return {
             ...this.stats,
             edition: 'community',
+            preset: this.config.presetName,
             sanitizerStats: this.sanitizer.getStats(),
             filterStats: this.outputFilter.getStats()
         };
@@ -161,6 +712,7 @@ class Sentinel {
                 included: [
                     'Basic input sanitization (7 patterns)',
                     'Basic output filtering (4 PII patterns)',
+                    'Common credential redaction (AWS, GitHub, Slack, JWT, PEM keys)',
                     'Control character removal',
                     'Zero-width character removal',
                     'Script/code block removal'
@@ -202,7 +754,25 @@ class Sentinel {
 }
 
 // Named exports
-export { Sentinel, InputSanitizerBasic, OutputFilterBasic, SentinelConfig, ThreatLogger };
+export {
+    Sentinel,
+    InputSanitizerBasic,
+    OutputFilterBasic,
+    StreamingOutputFilter,
+    filterAsyncIterable,
+    createFilterTransformStream,
+    SentinelConfig,
+    SentinelConfigError,
+    SentinelEmitter,
+    METRICS_CONTENT_TYPE,
+    ThreatLogger,
+    verifyAuditLog,
+    validators,
+    createExpressMiddleware,
+    withSentinel,
+    RateLimiter,
+    MemoryRateLimitStore
+};
 
 // Default export
 export default Sentinel;
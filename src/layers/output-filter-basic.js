@@ -8,27 +8,50 @@
  * Upgrade to Professional for advanced redaction and canary detection.
  */
 
+import { validators } from '../utils/validators.js';
+import { applyEdits, replaceTracked, toSourceSpan } from '../utils/offsets.js';
+
+const DETECTOR_TYPES = ['pii', 'secret'];
+
+// Named redaction strategies for custom detectors
+const REDACTION_STRATEGIES = {
+    mask: () => '[REDACTED]',
+    label: (m, detector) => `[${detector.name.toUpperCase().replace(/\s+/g, '_')}]`,
+    partial: (m) => m.length > 4 ? '*'.repeat(m.length - 4) + m.slice(-4) : '*'.repeat(m.length),
+    remove: () => ''
+};
+
 class OutputFilterBasic {
     constructor(config) {
-        this.config = config;
+        this.config = null;
         this.stats = {
             filtered: 0,
             redacted: 0
         };
 
         // Basic PII patterns (limited set - 5 patterns)
-        // Professional version has 20+ patterns with smart redaction
+        // Professional version has 20+ patterns with smart redaction.
+        // Detectors with a `validate` check only redact structurally valid
+        // matches; the rest are reported as low-confidence candidates.
         this.piiPatterns = {
             ssn: {
                 pattern: /\b\d{3}[-\s]?\d{2}[-\s]?\d{4}\b/g,
                 redact: () => 'XXX-XX-XXXX',
+                validate: validators.ssn,
                 name: 'SSN'
             },
             creditCard: {
                 pattern: /\b(?:\d{4}[-\s]?){3}\d{4}\b/g,
                 redact: (m) => '**** **** **** ' + m.slice(-4),
+                validate: validators.luhn,
                 name: 'Credit Card'
             },
+            iban: {
+                pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+                redact: (m) => m.slice(0, 2) + '** **** **** ' + m.replace(/\s/g, '').slice(-4),
+                validate: validators.iban,
+                name: 'IBAN'
+            },
             email: {
                 pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g,
                 redact: (m) => m.split('@')[0][0] + '***@' + m.split('@')[1],
@@ -37,32 +60,324 @@ class OutputFilterBasic {
             phone: {
                 pattern: /\b(?:\+?1[-.\s]?)?\(?[0-9]{3}\)?[-.\s]?[0-9]{3}[-.\s]?[0-9]{4}\b/g,
                 redact: () => '(XXX) XXX-XXXX',
+                validate: validators.nanp,
                 name: 'Phone'
             }
         };
 
-        // Basic secret patterns (limited)
-        // Professional version includes API key variants, AWS, JWT, etc.
+        // Secret patterns for common credential formats. Order matters:
+        // container formats (PEM blocks, URLs) run before the tokens they may hold.
         this.secretPatterns = {
+            privateKey: {
+                pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----/g,
+                redact: () => '[REDACTED:PRIVATE_KEY]',
+                // Opening marker; lets streaming filters hold an unterminated key
+                hold: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----/g,
+                name: 'Private Key'
+            },
+            connectionString: {
+                pattern: /\b([a-z][a-z0-9+.-]*:\/\/)([^:/\s@]+):([^@\s/]+)@/gi,
+                redact: (m, scheme, user) => `${scheme}${user}:[REDACTED:CONNECTION_PASSWORD]@`,
+                name: 'Connection String Password'
+            },
+            awsAccessKey: {
+                pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+                redact: () => '[REDACTED:AWS_ACCESS_KEY]',
+                name: 'AWS Access Key'
+            },
+            awsSecretKey: {
+                pattern: /\b(aws_secret_access_key|aws_secret_key|secretAccessKey)(['"]?\s*[:=]\s*['"]?)[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/gi,
+                redact: (m, key, separator) => `${key}${separator}[REDACTED:AWS_SECRET_KEY]`,
+                name: 'AWS Secret Key'
+            },
+            githubToken: {
+                pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g,
+                redact: () => '[REDACTED:GITHUB_TOKEN]',
+                name: 'GitHub Token'
+            },
+            slackToken: {
+                pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g,
+                redact: () => '[REDACTED:SLACK_TOKEN]',
+                name: 'Slack Token'
+            },
+            jwt: {
+                pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+                redact: () => '[REDACTED:JWT]',
+                name: 'JWT'
+            },
+            bearerToken: {
+                // Any token after an Authorization header; elsewhere only token-like
+                // values (20+ characters with a digit), so prose such as
+                // "Bearer authentication" is left alone
+                pattern: /\b([Aa]uthorization:\s*)?Bearer\s+(?:(?<=[Aa]uthorization:\s*Bearer\s+)[A-Za-z0-9\-._~+/]{8,}|(?=[A-Za-z0-9\-._~+/]*\d)[A-Za-z0-9\-._~+/]{20,})=*/g,
+                redact: (m, header = '') => `${header}Bearer [REDACTED:BEARER_TOKEN]`,
+                name: 'Bearer Token'
+            },
             password: {
                 pattern: /(?:password|passwd|pwd)[:\s=]+['"]?([^\s'"]{4,})['"]?/gi,
                 redact: () => 'password: [REDACTED]',
                 name: 'Password'
             }
         };
+
+        // Ids registered from the customDetectors option, replaced on updateConfig()
+        this.configDetectorIds = new Set();
+        this.updateConfig(config);
+    }
+
+    /**
+     * Register an additional PII or secret detector
+     * @param {object} definition - Detector definition
+     * @param {string} definition.id - Unique detector id
+     * @param {string} [definition.name] - Display name used in redactions (defaults to id)
+     * @param {string} [definition.type='pii'] - 'pii' or 'secret'
+     * @param {RegExp|string} [definition.pattern] - Pattern to match (strings use `flags`, default 'g')
+     * @param {function} [definition.detect] - (text) => Array<{start, end}>, instead of a pattern
+     * @param {function|string} [definition.redact='mask'] - Replacement function or 'mask', 'label', 'partial', 'remove'
+     * @param {function|string} [definition.validate] - (match) => boolean, or 'luhn', 'ssn', 'iban', 'nanp'
+     * @param {object} options - { replace: overwrite an existing id }
+     * @returns {string} The detector id
+     */
+    registerDetector(definition, options = {}) {
+        const detector = this._normalizeDetector(definition);
+
+        if (this._findDetector(detector.id) && !options.replace) {
+            throw new Error(`Detector "${detector.id}" is already registered`);
+        }
+
+        this._storeDetector(detector);
+        return detector.id;
+    }
+
+    /**
+     * Remove a detector by id
+     * @param {string} id - Detector id
+     * @returns {boolean} Whether a detector was removed
+     */
+    unregisterDetector(id) {
+        const group = this._findDetector(id);
+        if (!group) return false;
+        delete group[id];
+        return true;
+    }
+
+    /**
+     * List registered detector ids by type
+     * @returns {{pii: string[], secret: string[]}}
+     */
+    listDetectors() {
+        return {
+            pii: Object.keys(this.piiPatterns),
+            secret: Object.keys(this.secretPatterns)
+        };
+    }
+
+    /**
+     * Load a set of detectors from a JSON file or an object.
+     * The whole set is validated before any detector is registered.
+     * @param {string|object|Array} source - File path, `{ detectors: [...] }` or an array
+     * @returns {Promise<number>} Number of detectors loaded
+     */
+    async loadDetectors(source) {
+        let definitions = source;
+
+        if (typeof source === 'string') {
+            const fs = await import('fs/promises');
+            try {
+                definitions = JSON.parse(await fs.readFile(source, 'utf8'));
+            } catch (error) {
+                throw new Error(`Failed to load detectors from ${source}: ${error.message}`);
+            }
+        }
+
+        return this._applyDetectors(definitions);
+    }
+
+    /**
+     * Validate and register a detector set, replacing existing ids
+     */
+    _applyDetectors(definitions) {
+        const normalized = this._compileDetectors(definitions);
+
+        for (const detector of normalized) {
+            this._storeDetector(detector);
+        }
+
+        return normalized.length;
+    }
+
+    /**
+     * Validate a detector set, reporting every invalid entry at once
+     * @returns {Array<object>} Normalized detectors
+     */
+    _compileDetectors(definitions) {
+        const list = Array.isArray(definitions) ? definitions : definitions?.detectors;
+        if (!Array.isArray(list)) {
+            throw new Error('Detector set must be an array or an object with a "detectors" array');
+        }
+
+        const errors = [];
+        const normalized = [];
+
+        list.forEach((definition, index) => {
+            try {
+                const detector = this._normalizeDetector(definition);
+                if (normalized.some(d => d.id === detector.id)) {
+                    throw new Error(`Duplicate detector id "${detector.id}"`);
+                }
+                normalized.push(detector);
+            } catch (error) {
+                errors.push(`[${index}] ${error.message}`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error('Invalid detector set:\n' + errors.join('\n'));
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Validate a detector definition and resolve its redaction strategy
+     */
+    _normalizeDetector(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('Detector must be an object');
+        }
+
+        const { id, type = 'pii', redact = 'mask' } = definition;
+
+        if (typeof id !== 'string' || id.trim() === '') {
+            throw new Error('Detector id must be a non-empty string');
+        }
+        if (!DETECTOR_TYPES.includes(type)) {
+            throw new Error(`Detector "${id}" has invalid type "${type}". Expected: ${DETECTOR_TYPES.join(', ')}`);
+        }
+
+        const detector = { id, type, name: definition.name || id, custom: true };
+
+        if (typeof definition.detect === 'function') {
+            detector.detect = definition.detect;
+        } else {
+            try {
+                if (definition.pattern instanceof RegExp) {
+                    const flags = definition.pattern.flags;
+                    detector.pattern = new RegExp(definition.pattern.source, flags.includes('g') ? flags : flags + 'g');
+                } else if (typeof definition.pattern === 'string' && definition.pattern !== '') {
+                    const flags = definition.flags ?? 'g';
+                    detector.pattern = new RegExp(definition.pattern, flags.includes('g') ? flags : flags + 'g');
+                } else {
+                    throw new Error('a pattern (RegExp or string) or a detect() function is required');
+                }
+            } catch (error) {
+                throw new Error(`Detector "${id}" has an invalid pattern: ${error.message}`);
+            }
+        }
+
+        if (typeof definition.validate === 'function') {
+            detector.validate = definition.validate;
+        } else if (typeof definition.validate === 'string') {
+            if (!validators[definition.validate]) {
+                throw new Error(`Detector "${id}" has unknown validator "${definition.validate}". Expected a function or: ${Object.keys(validators).join(', ')}`);
+            }
+            detector.validate = validators[definition.validate];
+        } else if (definition.validate !== undefined) {
+            throw new Error(`Detector "${id}" validate must be a function or a validator name`);
+        }
+
+        if (typeof redact === 'function') {
+            detector.redact = redact;
+        } else if (REDACTION_STRATEGIES[redact]) {
+            detector.redact = (m) => REDACTION_STRATEGIES[redact](m, detector);
+        } else {
+            throw new Error(`Detector "${id}" has unknown redaction strategy "${redact}". Expected a function or: ${Object.keys(REDACTION_STRATEGIES).join(', ')}`);
+        }
+
+        return detector;
+    }
+
+    _storeDetector(detector) {
+        // An id lives in exactly one group, even when its type changes on replace
+        this.unregisterDetector(detector.id);
+        const group = detector.type === 'secret' ? this.secretPatterns : this.piiPatterns;
+        group[detector.id] = detector;
+    }
+
+    _findDetector(id) {
+        if (Object.prototype.hasOwnProperty.call(this.piiPatterns, id)) return this.piiPatterns;
+        if (Object.prototype.hasOwnProperty.call(this.secretPatterns, id)) return this.secretPatterns;
+        return null;
+    }
+
+    /**
+     * Run a single detector over text. Matches rejected by the detector's
+     * validator are left in place and counted as candidates.
+     * @returns {{text: string, count: number, candidates: number, edits: Array<{start: number, end: number, replacement: string}>}}
+     */
+    _applyDetector(text, detector) {
+        let count = 0;
+        let candidates = 0;
+        const isValid = (match) => {
+            if (detector.validate && !detector.validate(match)) {
+                candidates++;
+                return false;
+            }
+            count++;
+            return true;
+        };
+
+        if (detector.detect) {
+            const spans = (detector.detect(text) || [])
+                .filter(span => Number.isInteger(span?.start) && Number.isInteger(span?.end) && span.end > span.start)
+                .sort((a, b) => b.start - a.start);
+
+            let output = text;
+            let lastStart = Infinity;
+            const edits = [];
+            // Replace from the end so earlier offsets stay valid; skip overlaps
+            for (const span of spans) {
+                if (span.end > lastStart) continue;
+                const match = output.slice(span.start, span.end);
+                lastStart = span.start;
+                if (isValid(match)) {
+                    const replacement = detector.redact(match);
+                    output = output.slice(0, span.start) + replacement + output.slice(span.end);
+                    edits.unshift({ start: span.start, end: span.end, replacement });
+                }
+            }
+            return { text: output, count, candidates, edits };
+        }
+
+        const { text: output, edits } = replaceTracked(text, null, detector.pattern, (match, ...groups) =>
+            isValid(match) ? detector.redact(match, ...groups) : match
+        );
+        return { text: output, count, candidates, edits };
     }
 
     /**
      * Filter LLM output
      */
     async filter(output, context = {}) {
-        this.stats.filtered++;
-        
+        const result = this.redact(output);
+        this.countFiltered(result.filtered);
+        return result;
+    }
+
+    /**
+     * Filter a piece of output without counting it in getStats(). The
+     * streaming filter redacts each segment this way and counts the whole
+     * stream once with countFiltered().
+     * @param {string} output - Text to filter
+     * @returns {object} Same result as filter()
+     */
+    redact(output) {
         const result = {
             original: output,
             output: output,
             filtered: false,
             redactions: [],
+            candidates: [],
             threats: [],
             edition: 'community'
         };
@@ -71,47 +386,23 @@ class OutputFilterBasic {
             return result;
         }
 
-        let filtered = output;
-
-        // Redact PII (if enabled)
-        const redactPII = this.config?.get?.('redactPII', true) ?? true;
-        if (redactPII) {
-            for (const [key, config] of Object.entries(this.piiPatterns)) {
-                const matches = filtered.match(config.pattern);
-                if (matches) {
-                    filtered = filtered.replace(config.pattern, config.redact);
-                    result.redactions.push({
-                        type: 'pii',
-                        name: config.name,
-                        count: matches.length
-                    });
-                    result.filtered = true;
-                }
-            }
-        }
+        // Offsets of the redacted text in the original output
+        let tracked = { text: output, offsets: null };
 
-        // Redact secrets (if enabled)
+        // Redact secrets (if enabled). Runs before PII so that credentials
+        // like `user:pass@host` are not half-masked by the email pattern.
         const redactSecrets = this.config?.get?.('redactSecrets', true) ?? true;
         if (redactSecrets) {
-            for (const [key, config] of Object.entries(this.secretPatterns)) {
-                const matches = filtered.match(config.pattern);
-                if (matches) {
-                    filtered = filtered.replace(config.pattern, config.redact);
-                    result.redactions.push({
-                        type: 'secret',
-                        name: config.name,
-                        count: matches.length
-                    });
-                    result.filtered = true;
-                }
-            }
+            tracked = this._runDetectors(tracked, this.secretPatterns, 'secret', result);
         }
 
-        if (result.filtered) {
-            this.stats.redacted++;
+        // Redact PII (if enabled)
+        const redactPII = this.config?.get?.('redactPII', true) ?? true;
+        if (redactPII) {
+            tracked = this._runDetectors(tracked, this.piiPatterns, 'pii', result);
         }
 
-        result.output = filtered;
+        result.output = tracked.text;
 
         // Add upgrade notice
         if (result.redactions.length > 0) {
@@ -121,12 +412,144 @@ class OutputFilterBasic {
         return result;
     }
 
+    /**
+     * Locate matches of every enabled detector without redacting anything.
+     * Detectors with a `hold` pattern also report unterminated matches as
+     * open spans running to the end of the text.
+     * @param {string} text - Text to scan
+     * @returns {Array<{start: number, end: number, type: string, detector: string, open: boolean}>}
+     */
+    findSpans(text) {
+        const spans = [];
+        if (!text || typeof text !== 'string') {
+            return spans;
+        }
+
+        const groups = [];
+        if (this.config?.get?.('redactSecrets', true) ?? true) groups.push(['secret', this.secretPatterns]);
+        if (this.config?.get?.('redactPII', true) ?? true) groups.push(['pii', this.piiPatterns]);
+
+        for (const [type, detectors] of groups) {
+            for (const [key, detector] of Object.entries(detectors)) {
+                const found = detector.detect
+                    ? (detector.detect(text) || []).map(span => ({ start: span.start, end: span.end }))
+                    : [...text.matchAll(detector.pattern)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+
+                for (const span of found) {
+                    spans.push({ ...span, type, detector: key, open: false });
+                }
+
+                if (detector.hold) {
+                    for (const m of text.matchAll(detector.hold)) {
+                        if (!found.some(span => span.start === m.index)) {
+                            spans.push({ start: m.index, end: text.length, type, detector: key, open: true });
+                        }
+                    }
+                }
+            }
+        }
+
+        return spans.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Run a detector group and record redactions on the result. Match
+     * offsets are mapped back to the original output, and each match
+     * excerpt is its replacement so the raw value is not copied around.
+     * @param {{text: string, offsets: number[]|null}} tracked - Text so far and its offset map
+     * @returns {{text: string, offsets: number[]|null}}
+     */
+    _runDetectors(tracked, detectors, type, result) {
+        let { text: filtered, offsets } = tracked;
+
+        for (const [key, detector] of Object.entries(detectors)) {
+            const { text: redacted, count, candidates, edits } = this._applyDetector(filtered, detector);
+            if (candidates > 0) {
+                result.candidates.push({
+                    type,
+                    name: detector.name,
+                    detector: key,
+                    count: candidates,
+                    confidence: 'low',
+                    reason: 'Failed structural validation'
+                });
+            }
+            if (count > 0) {
+                const matches = edits.map(edit => ({
+                    ...toSourceSpan(offsets, edit.start, edit.end),
+                    excerpt: edit.replacement
+                }));
+                offsets = applyEdits(offsets, filtered.length, edits);
+                filtered = redacted;
+                result.redactions.push({
+                    type,
+                    name: detector.name,
+                    detector: key,
+                    count,
+                    matches,
+                    rationale: `Redacted ${detector.name} matched by the ${type} detector "${key}"` +
+                        (detector.validate ? ' that passed structural validation' : '')
+                });
+                result.filtered = true;
+            }
+        }
+
+        return { text: filtered, offsets };
+    }
+
+    /**
+     * Count one filtered output in getStats()
+     * @param {boolean} redacted - Whether anything was redacted
+     */
+    countFiltered(redacted) {
+        this.stats.filtered++;
+        if (redacted) {
+            this.stats.redacted++;
+        }
+    }
+
     getStats() {
         return { ...this.stats };
     }
 
+    /**
+     * Validate a new configuration without applying it. Detectors from the
+     * previous customDetectors option are swapped for the new set; built-in
+     * and registerDetector() detectors are kept.
+     * @param {SentinelConfig} config - New configuration
+     * @returns {function} Applies the configuration
+     */
+    prepareConfig(config) {
+        const definitions = config?.get?.('customDetectors', []) || [];
+
+        if (this.config && definitions === this.config.get?.('customDetectors')) {
+            return () => {
+                this.config = config;
+            };
+        }
+
+        const incoming = definitions.length > 0 ? this._compileDetectors(definitions) : [];
+
+        return () => {
+            const pii = { ...this.piiPatterns };
+            const secret = { ...this.secretPatterns };
+            for (const id of [...this.configDetectorIds, ...incoming.map(d => d.id)]) {
+                delete pii[id];
+                delete secret[id];
+            }
+            for (const detector of incoming) {
+                (detector.type === 'secret' ? secret : pii)[detector.id] = detector;
+            }
+
+            this.piiPatterns = pii;
+            this.secretPatterns = secret;
+            this.configDetectorIds = new Set(incoming.map(d => d.id));
+            this.config = config;
+        };
+    }
+
     updateConfig(config) {
-        this.config = config;
+        this.prepareConfig(config)();
     }
 }
 
@@ -0,0 +1,58 @@
+/**
+ * SENTINEL V1.1 - Streaming Output Filter, Node.js Transform (Community Edition)
+ *
+ * Open Source - MIT License
+ * See LICENSE.mit for terms.
+ *
+ * Node.js stream.Transform wrapper around StreamingOutputFilter. Kept in its
+ * own module so the main entry point stays free of Node-only imports.
+ */
+
+import { Transform } from 'stream';
+import { StringDecoder } from 'string_decoder';
+import { StreamingOutputFilter } from './output-filter-stream.js';
+
+/**
+ * Create a Transform that filters LLM output as it flows through.
+ * Emits 'redaction' for each redaction and 'summary' before 'end'.
+ * @param {OutputFilterBasic} filter - Output filter instance (e.g. sentinel.outputFilter)
+ * @param {object} options - StreamingOutputFilter options
+ * @returns {Transform}
+ */
+function createFilterTransform(filter, options = {}) {
+    const decoder = new StringDecoder('utf8');
+    let transform = null;
+    const streamFilter = new StreamingOutputFilter(filter, {
+        ...options,
+        onRedaction: (redaction) => {
+            transform.emit('redaction', redaction);
+            if (options.onRedaction) options.onRedaction(redaction);
+        }
+    });
+
+    transform = new Transform({
+        decodeStrings: false,
+        encoding: 'utf8',
+        transform(chunk, encoding, callback) {
+            const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+            streamFilter.push(text)
+                .then(output => callback(null, output || undefined))
+                .catch(callback);
+        },
+        flush(callback) {
+            streamFilter.push(decoder.end())
+                .then(async (output) => output + await streamFilter.flush())
+                .then(output => {
+                    transform.emit('summary', streamFilter.getSummary());
+                    callback(null, output || undefined);
+                })
+                .catch(callback);
+        }
+    });
+
+    transform.streamFilter = streamFilter;
+    return transform;
+}
+
+export { createFilterTransform };
+export default createFilterTransform;
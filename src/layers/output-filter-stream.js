@@ -0,0 +1,305 @@
+/**
+ * SENTINEL V1.1 - Streaming Output Filter (Community Edition)
+ *
+ * Open Source - MIT License
+ * See LICENSE.mit for terms.
+ *
+ * Incremental output filtering for token-by-token LLM responses, built on
+ * OutputFilterBasic. Text is released only up to a safe cut point: a
+ * whitespace boundary outside any (possibly unfinished) match, at least
+ * `lookahead` characters behind the newest token.
+ *
+ * This module only uses web-standard APIs so it also runs on edge runtimes.
+ * The Node.js Transform lives in output-filter-stream-node.js.
+ */
+
+class StreamingOutputFilter {
+    /**
+     * @param {OutputFilterBasic} filter - Filter used for each released segment
+     * @param {object} options
+     * @param {number} [options.lookahead=64] - Characters always held back for matches that span chunks
+     * @param {number} [options.maxBuffer=16384] - Held text is released anyway beyond this size
+     * @param {function} [options.onRedaction] - Called with each redaction entry as it happens
+     */
+    constructor(filter, options = {}) {
+        this.filter = filter;
+        this.lookahead = options.lookahead ?? 64;
+        this.maxBuffer = options.maxBuffer ?? 16384;
+        this.onRedaction = options.onRedaction || null;
+
+        this.buffer = '';
+        this.redactions = [];
+        this.candidates = [];
+        this.chunks = 0;
+        this.closed = false;
+
+        // Length of the raw text released so far, to report match offsets in the whole stream
+        this.position = 0;
+    }
+
+    /**
+     * Add a chunk of LLM output
+     * @param {string} chunk - Next piece of text
+     * @returns {Promise<string>} Filtered text that is safe to emit (may be empty)
+     */
+    async push(chunk) {
+        if (this.closed) {
+            throw new Error('Cannot push to a flushed stream filter');
+        }
+        if (chunk === undefined || chunk === null || chunk === '') {
+            return '';
+        }
+
+        this.chunks++;
+        this.buffer += String(chunk);
+
+        const cut = this._findCut();
+        if (cut <= 0) {
+            return '';
+        }
+
+        const segment = this.buffer.slice(0, cut);
+        this.buffer = this.buffer.slice(cut);
+        return this._release(segment);
+    }
+
+    /**
+     * Release everything still buffered. Call once the source has ended.
+     * @returns {Promise<string>} Remaining filtered text
+     */
+    async flush() {
+        this.closed = true;
+        const segment = this.buffer;
+        this.buffer = '';
+        const output = segment ? await this._release(segment) : '';
+
+        // The whole stream counts as one filtered output
+        this.filter.countFiltered(this.redactions.length > 0);
+        return output;
+    }
+
+    /**
+     * Aggregated redactions for everything released so far
+     * @returns {{filtered: boolean, redactions: Array, candidates: Array, chunks: number}}
+     */
+    getSummary() {
+        return {
+            filtered: this.redactions.length > 0,
+            redactions: this.redactions.map(r => ({ ...r })),
+            candidates: this.candidates.map(c => ({ ...c })),
+            chunks: this.chunks
+        };
+    }
+
+    /**
+     * Find how much of the buffer can be released without splitting a match
+     */
+    _findCut() {
+        const text = this.buffer;
+        if (text.length > this.maxBuffer) {
+            return text.length;
+        }
+
+        let cut = text.length - this.lookahead;
+        if (cut <= 0) {
+            return 0;
+        }
+
+        // Never split a token: back up to just after the last whitespace
+        while (cut > 0 && !/\s/.test(text[cut - 1])) {
+            cut--;
+        }
+
+        // Back up further while a match (or an unterminated one) straddles the cut
+        const spans = this.filter.findSpans(text);
+        let moved = true;
+        while (moved && cut > 0) {
+            moved = false;
+            for (const span of spans) {
+                if (span.start < cut && span.end > cut) {
+                    cut = span.start;
+                    moved = true;
+                }
+            }
+        }
+
+        return cut;
+    }
+
+    async _release(segment) {
+        const result = this.filter.redact(segment);
+        const position = this.position;
+        this.position += segment.length;
+
+        for (const redaction of result.redactions) {
+            if (redaction.matches) {
+                redaction.matches = redaction.matches.map(match => ({
+                    ...match,
+                    start: match.start + position,
+                    end: match.end + position
+                }));
+            }
+            this._merge(this.redactions, redaction);
+            if (this.onRedaction) {
+                this.onRedaction({ ...redaction });
+            }
+        }
+        for (const candidate of result.candidates || []) {
+            this._merge(this.candidates, candidate);
+        }
+
+        return result.output;
+    }
+
+    _merge(list, entry) {
+        const existing = list.find(e => e.type === entry.type && e.detector === entry.detector);
+        if (existing) {
+            existing.count += entry.count;
+            if (entry.matches) {
+                existing.matches = [...(existing.matches || []), ...entry.matches];
+            }
+        } else {
+            list.push({ ...entry, ...(entry.matches && { matches: [...entry.matches] }) });
+        }
+    }
+}
+
+/**
+ * Filter an async iterable of text chunks
+ * @param {AsyncIterable<string|Uint8Array>} source - LLM output chunks
+ * @param {StreamingOutputFilter} streamFilter - Filter state (read getSummary() when done)
+ * @returns {AsyncGenerator<string>} Filtered chunks
+ */
+async function * filterAsyncIterable(source, streamFilter) {
+    const decoder = new TextDecoder();
+
+    for await (const chunk of source) {
+        const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+        const output = await streamFilter.push(text);
+        if (output) yield output;
+    }
+
+    const output = await streamFilter.push(decoder.decode()) + await streamFilter.flush();
+    if (output) yield output;
+}
+
+/**
+ * Create a WHATWG TransformStream that filters text or byte chunks.
+ * Byte input produces UTF-8 byte output; string input produces strings.
+ * @param {StreamingOutputFilter} streamFilter - Filter state (read getSummary() when done)
+ * @returns {TransformStream}
+ */
+function createFilterTransformStream(streamFilter) {
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+    let binary = false;
+
+    const enqueue = (controller, text) => {
+        if (text) controller.enqueue(binary ? encoder.encode(text) : text);
+    };
+
+    return new TransformStream({
+        async transform(chunk, controller) {
+            let text = chunk;
+            if (typeof chunk !== 'string') {
+                binary = true;
+                text = decoder.decode(chunk, { stream: true });
+            }
+            enqueue(controller, await streamFilter.push(text));
+        },
+        async flush(controller) {
+            const tail = binary ? decoder.decode() : '';
+            enqueue(controller, await streamFilter.push(tail) + await streamFilter.flush());
+        }
+    });
+}
+
+/**
+ * Whether an LLM response is streamed (an async iterable or a ReadableStream)
+ * @param {*} value - LLM callback result
+ * @returns {boolean}
+ */
+function isStreamedResponse(value) {
+    return value !== null && typeof value === 'object' &&
+        (typeof value[Symbol.asyncIterator] === 'function' || typeof value.getReader === 'function');
+}
+
+/**
+ * Normalize an LLM response into an async iterable of chunks
+ * @param {string|Uint8Array|AsyncIterable|Iterable|ReadableStream} value - LLM callback result
+ * @returns {AsyncIterable}
+ */
+function toAsyncIterable(value) {
+    if (value === undefined || value === null) {
+        return (async function * () {})();
+    }
+    if (typeof value === 'string' || value instanceof Uint8Array) {
+        return (async function * () { yield value; })();
+    }
+    if (typeof value[Symbol.asyncIterator] === 'function') {
+        return value;
+    }
+    if (typeof value.getReader === 'function') {
+        return (async function * () {
+            const reader = value.getReader();
+            try {
+                while (true) {
+                    const { done, value: chunk } = await reader.read();
+                    if (done) return;
+                    yield chunk;
+                }
+            } finally {
+                await reader.cancel().catch(() => {});
+            }
+        })();
+    }
+    if (typeof value[Symbol.iterator] === 'function') {
+        return (async function * () { yield * value; })();
+    }
+    throw new TypeError('Expected a string, an async iterable or a ReadableStream');
+}
+
+/**
+ * Stop iterating a source as soon as an AbortSignal fires. The source is
+ * closed (return()/cancel()) and iteration ends without throwing.
+ * @param {AsyncIterable} source - Chunk source
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {AsyncGenerator}
+ */
+async function * abortableIterable(source, signal) {
+    if (!signal) {
+        yield * source;
+        return;
+    }
+
+    const iterator = source[Symbol.asyncIterator]();
+    let onAbort;
+    const aborted = new Promise(resolve => {
+        onAbort = () => resolve({ aborted: true });
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    try {
+        while (!signal.aborted) {
+            const next = await Promise.race([iterator.next(), aborted]);
+            if (next.aborted || next.done) return;
+            yield next.value;
+        }
+    } finally {
+        signal.removeEventListener('abort', onAbort);
+        // Close the provider stream so the underlying request is released
+        if (typeof iterator.return === 'function') {
+            Promise.resolve(iterator.return()).catch(() => {});
+        }
+    }
+}
+
+export {
+    StreamingOutputFilter,
+    filterAsyncIterable,
+    createFilterTransformStream,
+    toAsyncIterable,
+    isStreamedResponse,
+    abortableIterable
+};
+export default StreamingOutputFilter;
@@ -8,9 +8,40 @@
  * Upgrade to Professional for advanced detection.
  */
 
+import { foldForDetection } from '../utils/unicode.js';
+import { decodeVariants } from '../utils/decoders.js';
+import { withSpanSync, setAttributes } from '../utils/tracing.js';
+import { replaceTracked, composeOffsets, toSourceSpan } from '../utils/offsets.js';
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const ACTIONS = ['remove', 'escape', 'flag', 'block'];
+
+// Decodings that keep every character in place, so match offsets carry over
+const ALIGNED_ENCODINGS = ['rot13', 'leetspeak'];
+
+/**
+ * Whether a match made through ROT13/leetspeak is strong enough to report.
+ * Those rewrite any text with letters, so a single short word is often an
+ * ordinary one in disguise ("QnA" reads "DaN" in ROT13); require the match
+ * to span more than one word.
+ */
+function isMultiWord(match) {
+    return /\S\s+\S/.test(match[0].trim());
+}
+
+/**
+ * First match of a signature pattern, with its index
+ */
+function firstMatch(text, pattern) {
+    pattern.lastIndex = 0;
+    const match = pattern.exec(text);
+    pattern.lastIndex = 0;
+    return match;
+}
+
 class InputSanitizerBasic {
     constructor(config) {
-        this.config = config;
+        this.config = null;
         this.stats = {
             processed: 0,
             sanitized: 0
@@ -39,12 +70,251 @@ class InputSanitizerBasic {
         // Basic injection indicators (limited - 5 patterns)
         // Professional version has 50+ patterns
         this.injectionIndicators = [
-            /ignore\s+(all\s+)?previous\s+instructions?/i,
-            /reveal\s+(your\s+)?system\s+prompt/i,
-            /jailbreak/i,
-            /\bDAN\b/i,
-            /bypass\s+safety/i
+            { pattern: /ignore\s+(all\s+)?previous\s+instructions?/i, name: 'ignore_instructions' },
+            { pattern: /reveal\s+(your\s+)?system\s+prompt/i, name: 'reveal_system_prompt' },
+            { pattern: /jailbreak/i, name: 'jailbreak' },
+            { pattern: /\bDAN\b/i, name: 'dan' },
+            { pattern: /bypass\s+safety/i, name: 'bypass_safety' }
         ];
+
+        // Signature registry keyed by id. Built-in patterns are registered
+        // first so custom signatures run after them in insertion order.
+        this.signatures = new Map();
+        this._registerBuiltinSignatures();
+
+        // Ids registered from the customSignatures option, replaced on updateConfig()
+        this.configSignatureIds = new Set();
+        this.updateConfig(config);
+    }
+
+    /**
+     * Register the built-in patterns as signatures
+     */
+    _registerBuiltinSignatures() {
+        for (const pattern of this.dangerousPatterns) {
+            this._store(this._normalizeSignature({
+                id: pattern.name,
+                pattern: pattern.pattern,
+                severity: 'low',
+                category: 'sanitization',
+                action: pattern.action
+            }), true);
+        }
+
+        for (const indicator of this.injectionIndicators) {
+            this._store(this._normalizeSignature({
+                id: indicator.name,
+                pattern: indicator.pattern,
+                severity: 'high',
+                category: 'injection_attempt',
+                action: 'flag',
+                description: 'Basic injection pattern detected'
+            }), true);
+        }
+    }
+
+    /**
+     * Add a custom signature
+     * @param {object} definition - Signature definition
+     * @param {string} definition.id - Unique signature id
+     * @param {RegExp|string} definition.pattern - Pattern to match (strings use `flags`, default 'gi')
+     * @param {string} [definition.severity='medium'] - 'low', 'medium', 'high' or 'critical'
+     * @param {string} [definition.category='custom'] - Category, reported as the threat type
+     * @param {string} [definition.action='flag'] - 'remove', 'escape', 'flag' or 'block'
+     * @param {boolean} [definition.enabled=true] - Whether the signature is active
+     * @param {object} options - { replace: overwrite an existing id }
+     * @returns {object} The registered signature
+     */
+    addSignature(definition, options = {}) {
+        const signature = this._normalizeSignature(definition);
+
+        if (this.signatures.has(signature.id) && !options.replace) {
+            throw new Error(`Signature "${signature.id}" is already registered`);
+        }
+
+        this._store(signature, false);
+        return { ...signature };
+    }
+
+    /**
+     * Remove a signature by id
+     * @param {string} id - Signature id
+     * @returns {boolean} Whether a signature was removed
+     */
+    removeSignature(id) {
+        return this.signatures.delete(id);
+    }
+
+    /**
+     * Enable a signature by id
+     * @param {string} id - Signature id
+     * @returns {boolean} Whether the signature exists
+     */
+    enableSignature(id) {
+        return this._setEnabled(id, true);
+    }
+
+    /**
+     * Disable a signature by id
+     * @param {string} id - Signature id
+     * @returns {boolean} Whether the signature exists
+     */
+    disableSignature(id) {
+        return this._setEnabled(id, false);
+    }
+
+    /**
+     * Get a registered signature
+     * @param {string} id - Signature id
+     * @returns {object|null} Signature copy or null
+     */
+    getSignature(id) {
+        const signature = this.signatures.get(id);
+        return signature ? { ...signature } : null;
+    }
+
+    /**
+     * List registered signatures
+     * @param {object} filter - { category, enabled, builtin }
+     * @returns {Array<object>} Signature copies
+     */
+    listSignatures(filter = {}) {
+        return [...this.signatures.values()]
+            .filter(s => filter.category === undefined || s.category === filter.category)
+            .filter(s => filter.enabled === undefined || s.enabled === filter.enabled)
+            .filter(s => filter.builtin === undefined || s.builtin === filter.builtin)
+            .map(s => ({ ...s }));
+    }
+
+    /**
+     * Load a set of signatures from a JSON file or an object.
+     * The whole set is validated before any signature is registered.
+     * @param {string|object|Array} source - File path, `{ signatures: [...] }` or an array
+     * @returns {Promise<number>} Number of signatures loaded
+     */
+    async loadSignatures(source) {
+        let definitions = source;
+
+        if (typeof source === 'string') {
+            const fs = await import('fs/promises');
+            try {
+                definitions = JSON.parse(await fs.readFile(source, 'utf8'));
+            } catch (error) {
+                throw new Error(`Failed to load signatures from ${source}: ${error.message}`);
+            }
+        }
+
+        return this._applySignatures(definitions);
+    }
+
+    /**
+     * Validate and register a signature set, replacing existing ids
+     */
+    _applySignatures(definitions) {
+        const normalized = this._compileSignatures(definitions);
+
+        for (const signature of normalized) {
+            this._store(signature, false);
+        }
+
+        return normalized.length;
+    }
+
+    /**
+     * Validate a signature set, reporting every invalid entry at once
+     * @returns {Array<object>} Normalized signatures
+     */
+    _compileSignatures(definitions) {
+        const list = Array.isArray(definitions) ? definitions : definitions?.signatures;
+        if (!Array.isArray(list)) {
+            throw new Error('Signature set must be an array or an object with a "signatures" array');
+        }
+
+        const errors = [];
+        const seen = new Set();
+        const normalized = [];
+
+        list.forEach((definition, index) => {
+            try {
+                const signature = this._normalizeSignature(definition);
+                if (seen.has(signature.id)) {
+                    throw new Error(`Duplicate signature id "${signature.id}"`);
+                }
+                seen.add(signature.id);
+                normalized.push(signature);
+            } catch (error) {
+                errors.push(`[${index}] ${error.message}`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error('Invalid signature set:\n' + errors.join('\n'));
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Validate a signature definition and compile its pattern
+     */
+    _normalizeSignature(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('Signature must be an object');
+        }
+
+        const { id, severity = 'medium', category = 'custom', action = 'flag', enabled = true } = definition;
+
+        if (typeof id !== 'string' || id.trim() === '') {
+            throw new Error('Signature id must be a non-empty string');
+        }
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`Signature "${id}" has invalid severity "${severity}". Expected: ${SEVERITIES.join(', ')}`);
+        }
+        if (!ACTIONS.includes(action)) {
+            throw new Error(`Signature "${id}" has invalid action "${action}". Expected: ${ACTIONS.join(', ')}`);
+        }
+        if (typeof category !== 'string' || category.trim() === '') {
+            throw new Error(`Signature "${id}" category must be a non-empty string`);
+        }
+
+        let pattern;
+        try {
+            if (definition.pattern instanceof RegExp) {
+                const flags = definition.pattern.flags.includes('g')
+                    ? definition.pattern.flags
+                    : definition.pattern.flags + 'g';
+                pattern = new RegExp(definition.pattern.source, flags);
+            } else if (typeof definition.pattern === 'string' && definition.pattern !== '') {
+                const flags = definition.flags ?? 'gi';
+                pattern = new RegExp(definition.pattern, flags.includes('g') ? flags : flags + 'g');
+            } else {
+                throw new Error('pattern must be a RegExp or a non-empty string');
+            }
+        } catch (error) {
+            throw new Error(`Signature "${id}" has an invalid pattern: ${error.message}`);
+        }
+
+        return {
+            id,
+            pattern,
+            severity,
+            category,
+            action,
+            enabled: enabled !== false,
+            description: definition.description || `Matched signature ${id}`,
+            builtin: false
+        };
+    }
+
+    _store(signature, builtin) {
+        this.signatures.set(signature.id, { ...signature, builtin });
+    }
+
+    _setEnabled(id, enabled) {
+        const signature = this.signatures.get(id);
+        if (!signature) return false;
+        signature.enabled = enabled;
+        return true;
     }
 
     /**
@@ -68,46 +338,116 @@ class InputSanitizerBasic {
 
         let sanitized = input;
 
-        // Apply basic patterns
-        for (const pattern of this.dangerousPatterns) {
-            const matches = sanitized.match(pattern.pattern);
-            if (matches) {
-                if (pattern.action === 'remove') {
-                    sanitized = sanitized.replace(pattern.pattern, '');
-                } else if (pattern.action === 'escape') {
-                    sanitized = sanitized.replace(pattern.pattern, m => `[ESCAPED:${m}]`);
+        // Maps positions in `sanitized` back to `input`, see utils/offsets.js
+        let offsets = null;
+
+        const active = [...this.signatures.values()].filter(s => s.enabled);
+        const config = this.config;
+
+        // Unicode folding. By default only the detection copy is folded and the
+        // user's characters are kept; with preserveOriginalText off the folded
+        // text is also what gets sanitized and sent on.
+        const normalizeUnicode = config?.get?.('normalizeUnicode', true) ?? true;
+        const preserveOriginal = config?.get?.('preserveOriginalText', true) ?? true;
+        if (normalizeUnicode && !preserveOriginal) {
+            withSpanSync(config, 'sentinel.sanitize.unicode', { 'sentinel.unicode.applied_to_output': true }, (span) => {
+                const folded = foldForDetection(sanitized);
+                setAttributes(span, { 'sentinel.unicode.changed': folded.changed });
+                if (folded.changed) {
+                    sanitized = folded.text;
+                    offsets = composeOffsets(offsets, folded.offsets);
+                    result.changes.push(this._foldChange(folded, true));
+                    result.sanitized = true;
                 }
-                result.changes.push({ type: pattern.name, count: matches.length });
-                result.sanitized = true;
-            }
+            });
         }
 
-        // Check basic injection indicators
-        for (const indicator of this.injectionIndicators) {
-            if (indicator.test(sanitized)) {
-                result.threats.push({
-                    type: 'injection_attempt',
-                    severity: 'high',
-                    details: 'Basic injection pattern detected',
-                    note: 'Upgrade to Professional for advanced detection'
-                });
+        // Apply rewriting signatures (remove/escape)
+        withSpanSync(config, 'sentinel.sanitize.rewrite', {}, (span) => {
+            const before = result.changes.length;
+            for (const signature of active) {
+                if (signature.action !== 'remove' && signature.action !== 'escape') continue;
+
+                const matches = sanitized.match(signature.pattern);
+                if (matches) {
+                    const replacer = signature.action === 'remove' ? () => '' : m => `[ESCAPED:${m}]`;
+                    ({ text: sanitized, offsets } = replaceTracked(sanitized, offsets, signature.pattern, replacer));
+                    result.changes.push({ type: signature.id, count: matches.length });
+                    result.sanitized = true;
+                }
             }
+            setAttributes(span, { 'sentinel.changes.count': result.changes.length - before });
+        });
+
+        let detectionText = sanitized;
+        let detectionOffsets = offsets;
+        if (normalizeUnicode && preserveOriginal) {
+            withSpanSync(config, 'sentinel.sanitize.unicode', { 'sentinel.unicode.applied_to_output': false }, (span) => {
+                const folded = foldForDetection(sanitized);
+                setAttributes(span, { 'sentinel.unicode.changed': folded.changed });
+                if (folded.changed) {
+                    detectionText = folded.text;
+                    detectionOffsets = composeOffsets(offsets, folded.offsets);
+                    result.changes.push(this._foldChange(folded, false));
+                }
+            });
         }
 
-        // Basic length check
-        const maxLength = this.config?.get?.('maxInputLength', 10000) || 10000;
-        if (sanitized.length > maxLength) {
-            sanitized = sanitized.substring(0, maxLength);
-            result.changes.push({ type: 'truncation', originalLength: input.length });
-            result.sanitized = true;
+        // Check detection signatures (flag/block)
+        withSpanSync(config, 'sentinel.sanitize.detect', {}, (span) => {
+            for (const signature of active) {
+                if (signature.action !== 'flag' && signature.action !== 'block') continue;
+
+                const match = firstMatch(detectionText, signature.pattern);
+                if (match) {
+                    const sourceSpan = toSourceSpan(detectionOffsets, match.index, match.index + match[0].length);
+                    const excerpt = input.slice(sourceSpan.start, sourceSpan.end);
+                    const threat = {
+                        type: signature.category,
+                        severity: signature.severity,
+                        details: signature.description,
+                        signatureId: signature.id,
+                        action: signature.action,
+                        start: sourceSpan.start,
+                        end: sourceSpan.end,
+                        excerpt,
+                        rationale: this._rationale(signature, { normalized: excerpt !== match[0] })
+                    };
+                    if (signature.builtin) {
+                        threat.note = 'Upgrade to Professional for advanced detection';
+                    }
+                    result.threats.push(threat);
+                }
+            }
+            setAttributes(span, { 'sentinel.threats.count': result.threats.length });
+        });
+
+        // Match the remaining detection signatures against decoded variants
+        if (config?.get?.('detectEncodedPayloads', true) ?? true) {
+            withSpanSync(config, 'sentinel.sanitize.decode', {}, (span) => {
+                const before = result.threats.length;
+                this._detectEncoded(input, detectionText, detectionOffsets, active, result, normalizeUnicode);
+                setAttributes(span, { 'sentinel.threats.count': result.threats.length - before });
+            });
         }
 
-        // Normalize whitespace
-        sanitized = sanitized
-            .replace(/\r\n/g, '\n')
-            .replace(/\r/g, '\n')
-            .replace(/ {3,}/g, '  ')
-            .trim();
+        // Basic length check and whitespace normalization
+        withSpanSync(config, 'sentinel.sanitize.limits', {}, (span) => {
+            const maxLength = config?.get?.('maxInputLength', 10000) || 10000;
+            const truncated = sanitized.length > maxLength;
+            if (truncated) {
+                sanitized = sanitized.substring(0, maxLength);
+                result.changes.push({ type: 'truncation', originalLength: input.length });
+                result.sanitized = true;
+            }
+            setAttributes(span, { 'sentinel.truncated': truncated });
+
+            sanitized = sanitized
+                .replace(/\r\n/g, '\n')
+                .replace(/\r/g, '\n')
+                .replace(/ {3,}/g, '  ')
+                .trim();
+        });
 
         if (result.sanitized) {
             this.stats.sanitized++;
@@ -123,12 +463,146 @@ class InputSanitizerBasic {
         return result;
     }
 
+    /**
+     * Decode base64/hex/URL/ROT13/leetspeak variants of the input and report
+     * signatures that only match once decoded. Offsets point at the encoded
+     * text in the input, or at the match itself for ROT13/leetspeak.
+     */
+    _detectEncoded(input, text, offsets, active, result, normalizeUnicode) {
+        const matched = new Set(result.threats.map(t => t.signatureId));
+        const detectors = active.filter(s =>
+            (s.action === 'flag' || s.action === 'block') && !matched.has(s.id)
+        );
+        if (detectors.length === 0) return;
+
+        const variants = decodeVariants(text, {
+            maxDepth: this.config?.get?.('decodeMaxDepth', 2) ?? 2,
+            maxLength: this.config?.get?.('decodeMaxLength', 4096) ?? 4096
+        });
+
+        for (const variant of variants) {
+            const decoded = normalizeUnicode ? foldForDetection(variant.text) : { text: variant.text, offsets: null };
+            const steps = variant.encoding.split('>');
+            const aligned = steps.every(step => ALIGNED_ENCODINGS.includes(step));
+            const rewritten = steps.some(step => ALIGNED_ENCODINGS.includes(step));
+
+            for (const signature of detectors) {
+                if (matched.has(signature.id)) continue;
+                const match = firstMatch(decoded.text, signature.pattern);
+                if (!match || (rewritten && !isMultiWord(match))) continue;
+
+                const local = aligned
+                    ? toSourceSpan(decoded.offsets, match.index, match.index + match[0].length)
+                    : { start: variant.start, end: variant.end };
+                const sourceSpan = toSourceSpan(offsets, local.start, local.end);
+
+                matched.add(signature.id);
+                result.threats.push({
+                    type: signature.category,
+                    severity: signature.severity,
+                    details: `${signature.description} (${variant.encoding}-encoded)`,
+                    signatureId: signature.id,
+                    action: signature.action,
+                    encoding: variant.encoding,
+                    start: sourceSpan.start,
+                    end: sourceSpan.end,
+                    excerpt: input.slice(sourceSpan.start, sourceSpan.end),
+                    rationale: this._rationale(signature, { encoding: variant.encoding })
+                });
+            }
+        }
+    }
+
+    /**
+     * Human-readable reason for a threat
+     * @param {object} signature - Matched signature
+     * @param {object} how - { normalized: matched only after Unicode folding/rewrites, encoding: decoding chain }
+     * @returns {string}
+     */
+    _rationale(signature, { normalized = false, encoding = null } = {}) {
+        let rationale = `Matched ${signature.severity}-severity ${signature.category} signature "${signature.id}"`;
+        if (signature.description !== `Matched signature ${signature.id}`) {
+            rationale += `: ${signature.description}`;
+        }
+        if (encoding) {
+            rationale += `. Found after decoding ${encoding.split('>').join(', then ')}`;
+        } else if (normalized) {
+            rationale += '. Found after removing hidden characters and folding lookalike letters';
+        }
+        return rationale;
+    }
+
+    /**
+     * Describe a Unicode folding step as a change entry
+     */
+    _foldChange(folded, appliedToOutput) {
+        return {
+            type: 'unicode_normalization',
+            count: folded.compatibility + folded.combiningMarks + folded.confusables,
+            compatibility: folded.compatibility,
+            combiningMarks: folded.combiningMarks,
+            confusables: folded.confusables,
+            samples: folded.samples,
+            appliedToOutput
+        };
+    }
+
     getStats() {
-        return { ...this.stats };
+        const signatures = [...this.signatures.values()];
+        const byCategory = {};
+        for (const signature of signatures) {
+            if (signature.enabled) {
+                byCategory[signature.category] = (byCategory[signature.category] || 0) + 1;
+            }
+        }
+
+        return {
+            ...this.stats,
+            signatures: {
+                total: signatures.length,
+                enabled: signatures.filter(s => s.enabled).length,
+                custom: signatures.filter(s => !s.builtin).length,
+                byCategory
+            }
+        };
+    }
+
+    /**
+     * Validate a new configuration without applying it. Signatures from the
+     * previous customSignatures option are swapped for the new set; built-in
+     * and addSignature() signatures are kept.
+     * @param {SentinelConfig} config - New configuration
+     * @returns {function} Applies the configuration
+     */
+    prepareConfig(config) {
+        const definitions = config?.get?.('customSignatures', []) || [];
+
+        // Unchanged set: keep runtime enable/disable state
+        if (this.config && definitions === this.config.get?.('customSignatures')) {
+            return () => {
+                this.config = config;
+            };
+        }
+
+        const incoming = definitions.length > 0 ? this._compileSignatures(definitions) : [];
+
+        return () => {
+            const signatures = new Map(this.signatures);
+            for (const id of this.configSignatureIds) {
+                signatures.delete(id);
+            }
+            for (const signature of incoming) {
+                signatures.set(signature.id, { ...signature, builtin: false });
+            }
+
+            this.signatures = signatures;
+            this.configSignatureIds = new Set(incoming.map(s => s.id));
+            this.config = config;
+        };
     }
 
     updateConfig(config) {
-        this.config = config;
+        this.prepareConfig(config)();
     }
 }
 
@@ -0,0 +1,128 @@
+/**
+ * SENTINEL V1.1 - Express/Connect Middleware (Community Edition)
+ *
+ * Open Source - MIT License
+ * See LICENSE.mit for terms.
+ *
+ * Sanitizes configured request fields with Sentinel.protect(), attaches the
+ * results to `req.sentinel`, optionally rejects blocked requests, and filters
+ * configured response fields passed to `res.json()`. Express response helpers
+ * are used when present; plain Connect/http responses get the same behavior
+ * through statusCode, setHeader() and end().
+ */
+
+import { protectFields, filterFields, checkRequestRateLimit, blockResponseBody } from './fields.js';
+
+const DEFAULT_OPTIONS = {
+    body: ['*'], // Top-level string fields of req.body
+    query: [], // Paths in req.query
+    rejectBlocked: true,
+    blockStatus: 400,
+    blockBody: null, // Object or (req, report) => object
+    response: [], // Paths in res.json() bodies to run through filterOutput()
+    rateLimitKey: (req) => req.ip ?? req.socket?.remoteAddress, // Client key when enableRateLimit is on
+    skip: null // (req) => boolean
+};
+
+/**
+ * Create Express/Connect middleware bound to a Sentinel instance
+ * @param {Sentinel} sentinel - Sentinel instance
+ * @param {object} options - See DEFAULT_OPTIONS
+ * @returns {function} (req, res, next) middleware
+ */
+function createExpressMiddleware(sentinel, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+
+    return async function sentinelMiddleware(req, res, next) {
+        if (settings.skip && settings.skip(req)) {
+            return next();
+        }
+
+        try {
+            // One rate limit hit per request, however many fields are protected
+            const rateLimit = await checkRequestRateLimit(sentinel, settings.rateLimitKey(req));
+            if (rateLimit && !rateLimit.allowed) {
+                res.setHeader('Retry-After', String(Math.ceil(rateLimit.retryAfter / 1000)));
+                sendJson(res, 429, { error: 'Too many requests', retryAfter: rateLimit.retryAfter });
+                return;
+            }
+
+            // Express 5 exposes req.query through a getter that re-parses the
+            // URL, so sanitize one copy and pin it on the request
+            const query = req.query;
+            const report = await protectFields(sentinel, [
+                ['body', req.body, settings.body],
+                ['query', query, settings.query]
+            ], { rateLimit: false });
+            report.rateLimit = rateLimit;
+            if (query && settings.query.length > 0) {
+                Object.defineProperty(req, 'query', { value: query, writable: true, configurable: true });
+            }
+
+            req.sentinel = report;
+
+            if (report.blocked && settings.rejectBlocked) {
+                sendJson(res, settings.blockStatus, blockResponseBody(settings.blockBody, req, report));
+                return;
+            }
+
+            if (settings.response.length > 0) {
+                wrapJson(sentinel, res, settings.response, next);
+            }
+
+            next();
+        } catch (error) {
+            await sentinel.logger.logError(error, { stage: 'middleware', path: req.path });
+            next(error);
+        }
+    };
+}
+
+/**
+ * Replace res.json() so configured fields are filtered before sending.
+ * Responses without res.json() (Connect, plain http) get one.
+ */
+function wrapJson(sentinel, res, paths, next) {
+    const json = typeof res.json === 'function'
+        ? res.json.bind(res)
+        : (body) => {
+            if (!res.getHeader('Content-Type')) {
+                res.setHeader('Content-Type', 'application/json');
+            }
+            res.end(JSON.stringify(body));
+            return res;
+        };
+
+    res.json = function filteredJson(body) {
+        if (!body || typeof body !== 'object') {
+            return json(body);
+        }
+
+        filterFields(sentinel, body, paths)
+            .then(redactions => {
+                if (res.req?.sentinel) {
+                    res.req.sentinel.redactions = redactions;
+                }
+                json(body);
+            })
+            .catch(next);
+
+        return res;
+    };
+}
+
+/**
+ * Send a JSON body with a status code, with or without Express helpers
+ */
+function sendJson(res, status, body) {
+    if (typeof res.status === 'function' && typeof res.json === 'function') {
+        res.status(status).json(body);
+        return;
+    }
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+}
+
+export { createExpressMiddleware };
+export default createExpressMiddleware;
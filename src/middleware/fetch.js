@@ -0,0 +1,171 @@
+/**
+ * SENTINEL V1.1 - Fetch API Handler Wrapper (Community Edition)
+ *
+ * Open Source - MIT License
+ * See LICENSE.mit for terms.
+ *
+ * Wraps `(request) => Response` handlers (Next.js route handlers, edge
+ * functions, Deno, Bun, Cloudflare Workers). Only web-standard APIs are used
+ * here, so the wrapper runs on edge runtimes without Node.js built-ins.
+ */
+
+import { protectFields, filterFields, checkRequestRateLimit, blockResponseBody } from './fields.js';
+import { createFilterTransformStream } from '../layers/output-filter-stream.js';
+
+const DEFAULT_OPTIONS = {
+    sentinel: null, // Sentinel instance (required)
+    body: ['*'], // Paths in the JSON request body
+    rejectBlocked: true,
+    blockStatus: 400,
+    blockBody: null, // Object or (request, report) => object
+    response: ['*'], // Paths in JSON response bodies to run through filterOutput()
+    filterStreams: true, // Filter text/* and event-stream bodies chunk by chunk
+    rateLimitKey: null, // (request) => client key when enableRateLimit is on
+    trustProxy: false, // Number of proxies in front (true = 1); keys by the client address they forward
+    skip: null // (request) => boolean
+};
+
+const BODY_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Wrap a Fetch API handler with input protection and output filtering
+ * @param {function} handler - (request, ...args) => Response | Promise<Response>
+ * @param {object} options - See DEFAULT_OPTIONS
+ * @returns {function} Wrapped handler with the same signature
+ */
+function withSentinel(handler, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const { sentinel } = settings;
+
+    if (!sentinel || typeof sentinel.protect !== 'function') {
+        throw new TypeError('withSentinel() requires a Sentinel instance in options.sentinel');
+    }
+
+    // Forwarding headers are client-controlled unless a proxy overwrites them,
+    // so they are only used when the caller says one does
+    const hops = Number(settings.trustProxy);
+    const rateLimitKey = settings.rateLimitKey || (hops > 0 ? (request) => forwardedAddress(request, hops) : null);
+    if (!rateLimitKey && sentinel.config.get('enableRateLimit', false)) {
+        throw new TypeError('withSentinel() requires options.rateLimitKey, or trustProxy: true behind a proxy that sets X-Forwarded-For, when enableRateLimit is on');
+    }
+
+    return async function sentinelHandler(request, ...args) {
+        if (settings.skip && settings.skip(request)) {
+            return handler(request, ...args);
+        }
+
+        // One rate limit hit per request, however many fields are protected
+        const rateLimit = await checkRequestRateLimit(sentinel, rateLimitKey ? rateLimitKey(request) : null);
+        if (rateLimit && !rateLimit.allowed) {
+            const response = jsonResponse({ error: 'Too many requests', retryAfter: rateLimit.retryAfter }, { status: 429 });
+            response.headers.set('Retry-After', String(Math.ceil(rateLimit.retryAfter / 1000)));
+            return response;
+        }
+
+        let protectedRequest = request;
+        let report = null;
+
+        if (BODY_METHODS.includes(request.method) && isJson(request.headers)) {
+            let body;
+            try {
+                body = await request.clone().json();
+            } catch (error) {
+                // Unparseable bodies are left for the handler to reject
+                body = undefined;
+            }
+
+            if (body && typeof body === 'object') {
+                report = await protectFields(sentinel, [['body', body, settings.body]], { rateLimit: false });
+                report.rateLimit = rateLimit;
+
+                if (report.blocked && settings.rejectBlocked) {
+                    return jsonResponse(blockResponseBody(settings.blockBody, request, report), {
+                        status: settings.blockStatus
+                    });
+                }
+
+                protectedRequest = new Request(request, {
+                    body: JSON.stringify(body),
+                    headers: withoutLength(request.headers)
+                });
+            }
+        }
+
+        protectedRequest.sentinel = report;
+
+        const response = await handler(protectedRequest, ...args);
+        return filterResponse(sentinel, response, settings);
+    };
+}
+
+/**
+ * Filter a handler's Response: JSON bodies field by field, text and
+ * event-stream bodies as a stream
+ */
+async function filterResponse(sentinel, response, settings) {
+    if (!(response instanceof Response) || !response.body) {
+        return response;
+    }
+
+    const init = {
+        status: response.status,
+        statusText: response.statusText,
+        headers: withoutLength(response.headers)
+    };
+
+    if (isJson(response.headers)) {
+        let body;
+        try {
+            body = await response.clone().json();
+        } catch (error) {
+            return response;
+        }
+        if (body && typeof body === 'object') {
+            await filterFields(sentinel, body, settings.response);
+        } else if (typeof body === 'string') {
+            body = (await sentinel.filterOutput(body)).output;
+        }
+        return new Response(JSON.stringify(body), init);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (settings.filterStreams && /^text\/|event-stream/i.test(contentType)) {
+        const stream = createFilterTransformStream(sentinel.createOutputStream());
+        return new Response(response.body.pipeThrough(stream), init);
+    }
+
+    return response;
+}
+
+// Client address seen by the outermost of `hops` trusted proxies. Each proxy
+// appends to X-Forwarded-For, so entries left of that are client-supplied.
+// Edge runtimes expose no socket address.
+function forwardedAddress(request, hops) {
+    const forwarded = (request.headers.get('x-forwarded-for') || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean);
+    if (forwarded.length > 0) return forwarded[Math.max(0, forwarded.length - hops)];
+    return request.headers.get('x-real-ip');
+}
+
+function isJson(headers) {
+    return /[/+]json\b/i.test(headers.get('content-type') || '');
+}
+
+// The body length changes once fields are sanitized or redacted
+function withoutLength(headers) {
+    const copy = new Headers(headers);
+    copy.delete('content-length');
+    return copy;
+}
+
+function jsonResponse(body, init) {
+    return new Response(JSON.stringify(body), {
+        ...init,
+        headers: { 'content-type': 'application/json' }
+    });
+}
+
+export { withSentinel };
+export default withSentinel;
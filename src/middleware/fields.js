@@ -0,0 +1,109 @@
+/**
+ * SENTINEL V1.1 - Field Protection Helpers
+ *
+ * Shared by the framework integrations: run protect() over request fields
+ * and filterOutput() over response fields, in place.
+ */
+
+import { collectStringFields } from '../utils/object-paths.js';
+
+/**
+ * Sanitize string fields of one or more request objects in place
+ * @param {Sentinel} sentinel - Sentinel instance
+ * @param {Array<[string, object, string[]]>} sources - [name, target, paths] triples
+ * @param {object} context - Request context passed to protect()
+ * @returns {Promise<object>} Report: { results, threats, riskScore, decision, blocked, blockReason }
+ */
+async function protectFields(sentinel, sources, context = {}) {
+    const report = {
+        results: {},
+        threats: [],
+        riskScore: 0,
+        decision: 'allowed',
+        blocked: false,
+        blockReason: null
+    };
+
+    for (const [source, target, paths] of sources) {
+        if (!target || typeof target !== 'object') continue;
+
+        for (const field of collectStringFields(target, paths)) {
+            const result = await sentinel.protect(field.value, context);
+            const key = `${source}.${field.path}`;
+
+            report.results[key] = result;
+            report.threats.push(...result.threats.map(threat => ({ ...threat, field: key })));
+            if (result.blocked && !report.blocked) {
+                report.blocked = true;
+                report.blockReason = `${key}: ${result.blockReason}`;
+            }
+
+            field.parent[field.key] = result.output;
+        }
+    }
+
+    // Score the request as a whole so threats spread across fields add up
+    const risk = sentinel._assessRisk(report.threats);
+    report.riskScore = risk.score;
+    if (risk.decision === 'blocked' && !report.blocked) {
+        report.blocked = true;
+        report.blockReason = risk.reason;
+        sentinel.stats.blocked++;
+        await sentinel.logger.logBlocked(report);
+        sentinel._emit('blocked', {
+            sessionId: context.sessionId,
+            stage: 'request',
+            reason: report.blockReason,
+            riskScore: report.riskScore,
+            threats: report.threats.length
+        });
+    }
+    report.decision = report.blocked ? 'blocked' : risk.decision;
+
+    return report;
+}
+
+/**
+ * Filter string fields of a response object in place
+ * @param {Sentinel} sentinel - Sentinel instance
+ * @param {object} target - Response body
+ * @param {string[]} paths - Field paths
+ * @returns {Promise<Array<object>>} Redactions applied across all fields
+ */
+async function filterFields(sentinel, target, paths) {
+    const fields = collectStringFields(target, paths);
+    const redactions = await Promise.all(fields.map(async (field) => {
+        const result = await sentinel.filterOutput(field.value);
+        field.parent[field.key] = result.output;
+        return result.redactions.map(redaction => ({ ...redaction, field: field.path }));
+    }));
+    return redactions.flat();
+}
+
+/**
+ * Consume the request's rate limit budget once, before any field is protected
+ * @param {Sentinel} sentinel - Sentinel instance
+ * @param {string} key - Client identifier
+ * @returns {Promise<object|null>} Rate limit result, or null when rate limiting is off
+ */
+async function checkRequestRateLimit(sentinel, key) {
+    if (!sentinel.config.get('enableRateLimit', false)) {
+        return null;
+    }
+    return sentinel.checkRateLimit({ key });
+}
+
+/**
+ * Resolve the configured body for a rejected request
+ */
+function blockResponseBody(blockBody, request, report) {
+    if (typeof blockBody === 'function') {
+        return blockBody(request, report);
+    }
+    return blockBody || {
+        error: 'Request blocked by SENTINEL',
+        reason: report.blockReason
+    };
+}
+
+export { protectFields, filterFields, checkRequestRateLimit, blockResponseBody };
@@ -0,0 +1,205 @@
+/**
+ * SENTINEL V1.1 - Audit Log
+ *
+ * Append-only, hash-chained audit trail (Node.js only). Each line is a JSON
+ * record holding the SHA-256 hash of the previous record, so deleting,
+ * reordering or editing a record breaks the chain. With an HMAC key the
+ * hashes are also signed, so the chain cannot be recomputed without the key.
+ */
+
+// prevHash of the first record
+const GENESIS_HASH = '0'.repeat(64);
+
+class AuditLog {
+    /**
+     * @param {object} options
+     * @param {string} options.path - Audit log file
+     * @param {string|null} options.hmacKey - Key for HMAC-SHA256 signatures (null = unsigned)
+     */
+    constructor({ path, hmacKey = null }) {
+        this.path = path;
+        this.hmacKey = hmacKey;
+
+        // Sequence number and hash of the last record, read from the file on first append
+        this.seq = null;
+        this.lastHash = null;
+
+        // Appends run one at a time so every record links to the one before it
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Append an audit entry
+     * @param {object} entry - Audit entry ({ action, ...details, timestamp })
+     * @returns {Promise<object>} The written record
+     */
+    append(entry) {
+        const task = this.queue.then(() => this._append(entry));
+        this.queue = task.catch(() => {});
+        return task;
+    }
+
+    async close() {
+        await this.queue;
+    }
+
+    async _append(entry) {
+        const fs = await import('fs/promises');
+        const crypto = await import('crypto');
+
+        if (this.seq === null) {
+            await this._readHead(fs);
+        }
+
+        // Hash the entry as it will read back from the file
+        const record = {
+            seq: this.seq + 1,
+            prevHash: this.lastHash,
+            entry: JSON.parse(JSON.stringify(entry))
+        };
+        record.hash = hashRecord(crypto, record);
+        if (this.hmacKey) {
+            record.hmac = signHash(crypto, this.hmacKey, record.hash);
+        }
+
+        await fs.appendFile(this.path, JSON.stringify(record) + '\n');
+        this.seq = record.seq;
+        this.lastHash = record.hash;
+        return record;
+    }
+
+    /**
+     * Continue the chain of an existing file
+     */
+    async _readHead(fs) {
+        let text = '';
+        try {
+            text = await fs.readFile(this.path, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const lines = text.split('\n').filter(Boolean);
+        if (lines.length === 0) {
+            this.seq = 0;
+            this.lastHash = GENESIS_HASH;
+            return;
+        }
+
+        let last;
+        try {
+            last = JSON.parse(lines[lines.length - 1]);
+        } catch (error) {
+            throw new Error(`Audit log ${this.path} ends with an unreadable record; run verifyAuditLog() before appending`);
+        }
+        this.seq = last.seq;
+        this.lastHash = last.hash;
+    }
+}
+
+/**
+ * Check an audit log written by AuditLog
+ * @param {string} path - Audit log file
+ * @param {object} options
+ * @param {string} options.hmacKey - Key the log was signed with; required to check signatures
+ * @returns {Promise<object>} { valid, entries, lastHash, errors: [{ line, seq, code, message }] }
+ */
+async function verifyAuditLog(path, { hmacKey = null } = {}) {
+    const fs = await import('fs/promises');
+    const crypto = await import('crypto');
+
+    const text = await fs.readFile(path, 'utf8');
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+
+    const errors = [];
+    const fail = (line, seq, code, message) => errors.push({ line, seq, code, message });
+
+    let expectedSeq = 1;
+    let prevHash = GENESIS_HASH;
+
+    lines.forEach((raw, i) => {
+        const line = i + 1;
+
+        let record;
+        try {
+            record = JSON.parse(raw);
+        } catch (error) {
+            fail(line, null, 'invalid_record', `Line ${line} is not valid JSON`);
+            return;
+        }
+
+        const { seq } = record;
+
+        if (record.hash !== hashRecord(crypto, record)) {
+            fail(line, seq, 'hash_mismatch', `Record ${seq} was modified: its hash does not match its contents`);
+        }
+
+        if (hmacKey) {
+            if (!record.hmac) {
+                fail(line, seq, 'missing_signature', `Record ${seq} is not signed`);
+            } else if (!safeEqual(crypto, record.hmac, signHash(crypto, hmacKey, record.hash))) {
+                fail(line, seq, 'signature_mismatch', `Record ${seq} has an invalid signature`);
+            }
+        }
+
+        if (seq !== expectedSeq) {
+            fail(line, seq, 'sequence_gap', seq > expectedSeq
+                ? `Expected record ${expectedSeq} but found ${seq}: records were deleted or reordered`
+                : `Record ${seq} appears again or out of order after record ${expectedSeq - 1}`);
+        }
+
+        if (record.prevHash !== prevHash) {
+            fail(line, seq, 'chain_broken', `Record ${seq} does not follow the record before it`);
+        }
+
+        // Continue from this record so one problem is not reported on every later line
+        expectedSeq = (Number.isInteger(seq) ? seq : expectedSeq) + 1;
+        prevHash = record.hash;
+    });
+
+    return {
+        valid: errors.length === 0,
+        entries: lines.length,
+        lastHash: prevHash,
+        errors
+    };
+}
+
+/**
+ * SHA-256 of a record's seq, prevHash and entry, serialized with sorted keys
+ */
+function hashRecord(crypto, record) {
+    const body = canonicalJson({ seq: record.seq, prevHash: record.prevHash, entry: record.entry });
+    return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+function signHash(crypto, key, hash) {
+    return crypto.createHmac('sha256', key).update(hash).digest('hex');
+}
+
+function safeEqual(crypto, a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * JSON with object keys sorted, so a record hashes the same however its
+ * keys were ordered when it was written or re-serialized
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const pairs = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${pairs.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+export { AuditLog, verifyAuditLog, GENESIS_HASH };
@@ -0,0 +1,158 @@
+/**
+ * SENTINEL V1.1 - Configuration Sources
+ *
+ * Reads options from config files (JSON or flat YAML) and SENTINEL_*
+ * environment variables for SentinelConfig.load().
+ */
+
+import { CONFIG_SCHEMA } from './config-schema.js';
+
+const ENV_PREFIX = 'SENTINEL_';
+
+// Types that can be written as a single environment variable
+const ENV_TYPES = ['boolean', 'number', 'integer', 'string', 'array'];
+
+/**
+ * Environment variable name for a config key, e.g. redactPII -> SENTINEL_REDACT_PII
+ * @param {string} key - Config key
+ * @param {string} prefix - Variable prefix
+ * @returns {string}
+ */
+function envName(key, prefix = ENV_PREFIX) {
+    return prefix + key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Read config options from environment variables. Variables that do not
+ * map to a known key are ignored, since the prefix may be shared.
+ * @param {object} env - Environment (e.g. process.env)
+ * @param {string} prefix - Variable prefix
+ * @returns {object} Options
+ */
+function readEnv(env = {}, prefix = ENV_PREFIX) {
+    const options = {};
+
+    for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+        if (!ENV_TYPES.includes(rule.type)) continue;
+
+        const raw = env[envName(key, prefix)];
+        if (raw !== undefined) {
+            options[key] = coerce(rule, raw);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Convert an environment string to the type the schema expects. Values that
+ * cannot be converted are returned unchanged so validation reports them.
+ */
+function coerce(rule, raw) {
+    const value = raw.trim();
+
+    if (rule.nullable && (value === '' || value === 'null')) {
+        return null;
+    }
+
+    if (rule.type === 'boolean') {
+        const lower = value.toLowerCase();
+        if (['true', '1', 'yes', 'on'].includes(lower)) return true;
+        if (['false', '0', 'no', 'off'].includes(lower)) return false;
+        return raw;
+    }
+
+    if (rule.type === 'number' || rule.type === 'integer') {
+        return value !== '' && !Number.isNaN(Number(value)) ? Number(value) : raw;
+    }
+
+    if (rule.type === 'array') {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return raw;
+        }
+    }
+
+    return raw;
+}
+
+/**
+ * Read and parse a config file. `.yaml`/`.yml` files use parseFlatYaml(),
+ * everything else is parsed as JSON (the format written by toJSON()).
+ * @param {string} path - File path
+ * @returns {Promise<object>} Options
+ */
+async function readConfigFile(path) {
+    const fs = await import('fs/promises');
+    const text = await fs.readFile(path, 'utf8');
+
+    try {
+        return /\.ya?ml$/i.test(path) ? parseFlatYaml(text) : JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid configuration file ${path}: ${error.message}`);
+    }
+}
+
+/**
+ * Parse the flat subset of YAML used for config files: one `key: value`
+ * per line, comments, and scalar or inline JSON values. Nested blocks are
+ * not supported; use a JSON file for customSignatures/customDetectors.
+ * @param {string} text - File contents
+ * @returns {object} Options
+ */
+function parseFlatYaml(text) {
+    const options = {};
+    const lines = text.split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (/^\s*(#.*)?$/.test(line) || line.trim() === '---') continue;
+
+        if (/^\s/.test(line)) {
+            throw new Error(`line ${i + 1}: nested values are not supported, use JSON`);
+        }
+
+        const match = line.match(/^([A-Za-z_][\w]*)\s*:\s*(.*)$/);
+        if (!match) {
+            throw new Error(`line ${i + 1}: expected "key: value"`);
+        }
+
+        options[match[1]] = parseYamlScalar(match[2], i + 1);
+    }
+
+    return options;
+}
+
+function parseYamlScalar(source, lineNumber) {
+    let value = source.trim();
+
+    if (value.startsWith('\'')) {
+        const end = value.lastIndexOf('\'');
+        if (end === 0) throw new Error(`line ${lineNumber}: unterminated string`);
+        return value.slice(1, end).replace(/''/g, '\'');
+    }
+
+    // Double-quoted strings and inline lists/maps are read as JSON, with or
+    // without a trailing comment
+    if (value.startsWith('"') || value.startsWith('[') || value.startsWith('{')) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            try {
+                return JSON.parse(value.replace(/\s+#[^"\]}]*$/, ''));
+            } catch (ignored) {
+                throw new Error(`line ${lineNumber}: ${error.message}`);
+            }
+        }
+    }
+
+    value = value.replace(/\s+#.*$/, '');
+    if (value === '' || value === 'null' || value === '~') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+}
+
+export { ENV_PREFIX, envName, readEnv, readConfigFile, parseFlatYaml };
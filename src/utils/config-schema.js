@@ -0,0 +1,324 @@
+/**
+ * SENTINEL V1.1 - Configuration Schema
+ *
+ * Declarative description of every configuration key (type, range, allowed
+ * values) and the checks SentinelConfig runs against it.
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_TYPES = ['console', 'file', 'remote'];
+const LOG_FORMATS = ['default', 'json', 'ecs', 'cef', 'syslog'];
+
+// type: 'boolean' | 'number' | 'integer' | 'string' | 'array' | 'object' | 'function'
+// secret: never echo the value in diagnostics
+const CONFIG_SCHEMA = {
+    // General settings
+    apiKey: { type: 'string', nullable: true, secret: true },
+    environment: { type: 'string' },
+    debug: { type: 'boolean' },
+    strictConfig: { type: 'boolean' },
+
+    // Input sanitization
+    maxInputLength: { type: 'integer', min: 100, max: 100000 },
+    enableCanaryTokens: { type: 'boolean' },
+    normalizeUnicode: { type: 'boolean' },
+    preserveOriginalText: { type: 'boolean' },
+    detectEncodedPayloads: { type: 'boolean' },
+    decodeMaxDepth: { type: 'integer', min: 0, max: 10 },
+    decodeMaxLength: { type: 'integer', min: 1 },
+    stripCodeBlocks: { type: 'boolean' },
+    customSignatures: { type: 'array' },
+
+    // Heuristic detection
+    heuristicWarnThreshold: { type: 'number', min: 0, max: 200 },
+    heuristicBlockThreshold: { type: 'number', min: 0, max: 200 },
+    enableBehavioralAnalysis: { type: 'boolean' },
+
+    // Meta-prompt wrapping
+    securityLevel: { type: 'string', enum: ['minimal', 'standard', 'strict'] },
+    includeTimestamp: { type: 'boolean' },
+    includeSessionId: { type: 'boolean' },
+
+    // Canary adjudicator
+    enableCanaryChecks: { type: 'boolean' },
+    enablePolicyChecks: { type: 'boolean' },
+    enableManipulationDetection: { type: 'boolean' },
+
+    // Output filtering
+    redactPII: { type: 'boolean' },
+    redactSecrets: { type: 'boolean' },
+    blockHarmfulContent: { type: 'boolean' },
+    customDetectors: { type: 'array' },
+
+    // Logging
+    enableLogging: { type: 'boolean' },
+    logLevel: { type: 'string', enum: LOG_LEVELS },
+    logDestination: { type: 'string', enum: LOG_TYPES },
+    logDestinations: { type: 'array' },
+    logFormat: { type: 'string', enum: LOG_FORMATS },
+    syslogFacility: { type: 'integer', min: 0, max: 23 },
+    logFilePath: { type: 'string' },
+    logMaxSize: { type: 'integer', min: 0 },
+    logMaxFiles: { type: 'integer', min: 0 },
+    logRotateIntervalMs: { type: 'integer', min: 0 },
+    remoteLogEndpoint: { type: 'string', nullable: true },
+    remoteLogBatchSize: { type: 'integer', min: 1 },
+    remoteLogFlushIntervalMs: { type: 'integer', min: 0 },
+    remoteLogMaxRetries: { type: 'integer', min: 0 },
+    remoteLogRetryDelayMs: { type: 'integer', min: 0 },
+    remoteLogSpoolPath: { type: 'string', nullable: true },
+    logPrivacy: { type: 'boolean' },
+    logPrivacySalt: { type: 'string', nullable: true, secret: true },
+    logExcerptLength: { type: 'integer', min: 0, max: 500 },
+    auditLogPath: { type: 'string', nullable: true },
+    auditHmacKey: { type: 'string', nullable: true, secret: true },
+
+    // Rate limiting
+    enableRateLimit: { type: 'boolean' },
+    rateLimit: { type: 'integer', min: 1 },
+    rateLimitWindowMs: { type: 'integer', min: 1 },
+    rateLimitStrategy: { type: 'string', enum: ['token-bucket', 'sliding-window'] },
+    rateLimitStore: { type: 'object', nullable: true },
+
+    // Callbacks
+    onThreatDetected: { type: 'function', nullable: true },
+    onBlocked: { type: 'function', nullable: true },
+    onError: { type: 'function', nullable: true },
+
+    // Tracing
+    enableTracing: { type: 'boolean' },
+    tracer: { type: 'object', nullable: true }
+};
+
+// Old key -> current key. Values are moved to the current key with a warning.
+const DEPRECATED_KEYS = {
+    blockThreshold: 'heuristicBlockThreshold',
+    warnThreshold: 'heuristicWarnThreshold',
+    logFile: 'logFilePath',
+    rateLimitWindow: 'rateLimitWindowMs'
+};
+
+/**
+ * Move deprecated keys to their current names
+ * @param {object} options - Raw options
+ * @returns {{ options: object, diagnostics: object[] }}
+ */
+function migrateDeprecatedKeys(options) {
+    const migrated = { ...options };
+    const diagnostics = [];
+
+    for (const [oldKey, newKey] of Object.entries(DEPRECATED_KEYS)) {
+        if (!Object.prototype.hasOwnProperty.call(migrated, oldKey)) continue;
+
+        if (Object.prototype.hasOwnProperty.call(migrated, newKey)) {
+            diagnostics.push(diagnostic('warning', 'deprecated_key', oldKey,
+                `${oldKey} is deprecated and ignored because ${newKey} is also set`, { replacement: newKey }));
+        } else {
+            migrated[newKey] = migrated[oldKey];
+            diagnostics.push(diagnostic('warning', 'deprecated_key', oldKey,
+                `${oldKey} is deprecated, use ${newKey}`, { replacement: newKey }));
+        }
+        delete migrated[oldKey];
+    }
+
+    return { options: migrated, diagnostics };
+}
+
+/**
+ * Check a configuration object against CONFIG_SCHEMA
+ * @param {object} config - Configuration to check
+ * @returns {object[]} Diagnostics ({ severity, code, key, message, ... })
+ */
+function validateConfig(config) {
+    const diagnostics = [];
+
+    for (const [key, value] of Object.entries(config)) {
+        const rule = CONFIG_SCHEMA[key];
+        if (!rule) {
+            const suggestion = suggestKey(key);
+            diagnostics.push(diagnostic('error', 'unknown_key', key,
+                `Unknown option ${key}` + (suggestion ? `. Did you mean ${suggestion}?` : ''),
+                suggestion ? { suggestion } : {}));
+            continue;
+        }
+
+        const problem = checkValue(rule, value);
+        if (problem) {
+            diagnostics.push(diagnostic('error', problem.code, key, `${key} ${problem.message}`, {
+                value: describeValue(key, value)
+            }));
+        }
+    }
+
+    // Cross-field checks
+    const warn = config.heuristicWarnThreshold;
+    const block = config.heuristicBlockThreshold;
+    if (typeof warn === 'number' && typeof block === 'number' && warn >= block) {
+        diagnostics.push(diagnostic('error', 'invalid_relation', 'heuristicWarnThreshold',
+            'heuristicWarnThreshold must be less than heuristicBlockThreshold', { value: warn }));
+    }
+
+    if (config.logDestination === 'remote' && !config.remoteLogEndpoint) {
+        diagnostics.push(diagnostic('warning', 'missing_dependency', 'remoteLogEndpoint',
+            'logDestination is remote but remoteLogEndpoint is not set'));
+    }
+
+    if (Array.isArray(config.logDestinations)) {
+        config.logDestinations.forEach((destination, i) => {
+            diagnostics.push(...checkLogDestination(destination, `logDestinations[${i}]`, config));
+        });
+    }
+
+    return diagnostics;
+}
+
+/**
+ * Check one logDestinations entry: { type, level, format, categories, ...sink options }
+ * @returns {object[]} Diagnostics
+ */
+function checkLogDestination(destination, key, config) {
+    if (typeof destination !== 'object' || destination === null || Array.isArray(destination)) {
+        return [diagnostic('error', 'invalid_type', key, `${key} must be object`)];
+    }
+
+    const diagnostics = [];
+    const fields = {
+        type: { type: 'string', enum: LOG_TYPES },
+        level: { type: 'string', enum: LOG_LEVELS, nullable: true },
+        format: { type: 'string', enum: LOG_FORMATS, nullable: true },
+        categories: { type: 'array', nullable: true }
+    };
+
+    for (const [field, rule] of Object.entries(fields)) {
+        const problem = checkValue(rule, destination[field]);
+        if (problem) {
+            diagnostics.push(diagnostic('error', problem.code, `${key}.${field}`, `${key}.${field} ${problem.message}`, {
+                value: describe(destination[field])
+            }));
+        }
+    }
+
+    if (Array.isArray(destination.categories) && !destination.categories.every(c => typeof c === 'string')) {
+        diagnostics.push(diagnostic('error', 'invalid_type', `${key}.categories`,
+            `${key}.categories must be an array of category names`));
+    }
+
+    if (destination.type === 'remote' && !destination.endpoint && !config.remoteLogEndpoint) {
+        diagnostics.push(diagnostic('warning', 'missing_dependency', `${key}.endpoint`,
+            `${key} is remote but neither endpoint nor remoteLogEndpoint is set`));
+    }
+
+    return diagnostics;
+}
+
+/**
+ * Check one value against its rule
+ * @returns {{ code: string, message: string }|null}
+ */
+function checkValue(rule, value) {
+    if (value === null || value === undefined) {
+        return rule.nullable ? null : { code: 'invalid_type', message: `must be ${rule.type}` };
+    }
+
+    if (!matchesType(rule.type, value)) {
+        return { code: 'invalid_type', message: `must be ${rule.type}${rule.nullable ? ' or null' : ''}` };
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return { code: 'invalid_enum', message: `must be one of: ${rule.enum.join(', ')}` };
+    }
+
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        const range = rule.max === undefined ? `at least ${rule.min}` : `between ${rule.min} and ${rule.max}`;
+        return { code: 'out_of_range', message: `must be ${range}` };
+    }
+
+    return null;
+}
+
+const TYPE_CHECKS = {
+    boolean: value => typeof value === 'boolean',
+    integer: value => Number.isInteger(value),
+    number: value => typeof value === 'number' && !Number.isNaN(value),
+    string: value => typeof value === 'string',
+    array: value => Array.isArray(value),
+    object: value => typeof value === 'object' && !Array.isArray(value),
+    function: value => typeof value === 'function'
+};
+
+function matchesType(type, value) {
+    return TYPE_CHECKS[type](value);
+}
+
+/**
+ * Closest known key for a typo: same key ignoring case, otherwise the
+ * nearest key within a small edit distance
+ * @param {string} key - Unknown key
+ * @returns {string|null}
+ */
+function suggestKey(key) {
+    const known = [...Object.keys(CONFIG_SCHEMA), ...Object.keys(DEPRECATED_KEYS)];
+    const lower = key.toLowerCase();
+
+    const caseMatch = known.find(k => k.toLowerCase() === lower);
+    if (caseMatch) return DEPRECATED_KEYS[caseMatch] || caseMatch;
+
+    let best = null;
+    let bestDistance = Math.min(3, Math.floor(key.length / 3));
+    for (const candidate of known) {
+        const distance = editDistance(lower, candidate.toLowerCase());
+        if (distance <= bestDistance && (!best || distance < bestDistance)) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best ? DEPRECATED_KEYS[best] || best : null;
+}
+
+/**
+ * Levenshtein distance
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function diagnostic(severity, code, key, message, extra = {}) {
+    return { severity, code, key, message, ...extra };
+}
+
+/**
+ * Short, log-safe form of a config value for diagnostics and audit entries
+ * @param {string} key - Config key
+ * @param {*} value - Value
+ * @returns {*}
+ */
+function describeValue(key, value) {
+    return CONFIG_SCHEMA[key]?.secret && value != null ? '[hidden]' : describe(value);
+}
+
+function describe(value) {
+    if (typeof value === 'function') return '[function]';
+    if (typeof value === 'string') return value.length > 50 ? value.slice(0, 50) + '...' : value;
+    if (Array.isArray(value)) {
+        // Signature and detector sets are identified by their ids
+        return value.every(item => typeof item?.id === 'string')
+            ? value.map(item => item.id)
+            : `[array(${value.length})]`;
+    }
+    if (value && typeof value === 'object') return '[object]';
+    return value;
+}
+
+export { CONFIG_SCHEMA, DEPRECATED_KEYS, migrateDeprecatedKeys, validateConfig, suggestKey, describeValue };
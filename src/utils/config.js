@@ -4,9 +4,96 @@
  * Centralized configuration management for all security layers.
  */
 
+import { migrateDeprecatedKeys, validateConfig, describeValue } from './config-schema.js';
+import { ENV_PREFIX, readEnv, readConfigFile } from './config-loader.js';
+
+/**
+ * Thrown in strict mode when the configuration has errors
+ */
+class SentinelConfigError extends Error {
+    /**
+     * @param {object[]} diagnostics - Every problem found, see validateConfig()
+     */
+    constructor(diagnostics) {
+        super('Invalid SENTINEL configuration:\n' + diagnostics.map(d => `  - ${d.message}`).join('\n'));
+        this.name = 'SentinelConfigError';
+        this.diagnostics = diagnostics;
+    }
+}
+
+/**
+ * Config key a diagnostic refers to, e.g. logDestinations[0].type -> logDestinations
+ */
+function rootKey(key) {
+    return key.split(/[.[]/)[0];
+}
+
+/**
+ * Compare config values; lists and plain objects (e.g. customSignatures)
+ * by content, functions and stores by identity
+ */
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    if ([a, b].some(v => !Array.isArray(v) && Object.getPrototypeOf(v) !== Object.prototype)) return false;
+
+    const serialize = value => JSON.stringify(value, (key, item) => {
+        if (item instanceof RegExp || typeof item === 'function') return String(item);
+        return item;
+    });
+    return serialize(a) === serialize(b);
+}
+
+// Built-in presets
+const BUILTIN_PRESETS = {
+    minimal: {
+        securityLevel: 'minimal',
+        heuristicBlockThreshold: 90,
+        redactPII: false,
+        enableBehavioralAnalysis: false,
+        enableManipulationDetection: false
+    },
+    standard: {
+        securityLevel: 'standard',
+        heuristicBlockThreshold: 70,
+        redactPII: true,
+        redactSecrets: true
+    },
+    strict: {
+        securityLevel: 'strict',
+        heuristicBlockThreshold: 50,
+        heuristicWarnThreshold: 20,
+        redactPII: true,
+        redactSecrets: true,
+        blockHarmfulContent: true,
+        enableBehavioralAnalysis: true,
+        enableManipulationDetection: true,
+        maxInputLength: 5000
+    },
+    paranoid: {
+        securityLevel: 'strict',
+        heuristicBlockThreshold: 30,
+        heuristicWarnThreshold: 10,
+        redactPII: true,
+        redactSecrets: true,
+        blockHarmfulContent: true,
+        enableBehavioralAnalysis: true,
+        enableManipulationDetection: true,
+        maxInputLength: 2000,
+        enableRateLimit: true,
+        rateLimit: 30
+    }
+};
+
+// Presets registered with SentinelConfig.definePreset(), shared process-wide
+const customPresets = new Map();
+
 class SentinelConfig {
     constructor(options = {}) {
         this.startTime = Date.now();
+        this.presetName = null;
+        this.configFile = null;
         
         // Default configuration
         this.defaults = {
@@ -14,12 +101,18 @@ class SentinelConfig {
             apiKey: null,
             environment: 'production',
             debug: false,
+            strictConfig: false, // Throw SentinelConfigError instead of warning on invalid options
             
             // Input sanitization
             maxInputLength: 10000,
             enableCanaryTokens: true,
-            normalizeUnicode: true,
+            normalizeUnicode: true, // Fold lookalike characters before matching signatures
+            preserveOriginalText: true, // Keep the user's characters in the sanitized output
+            detectEncodedPayloads: true, // Match signatures against base64/hex/URL/ROT13/leetspeak decodings
+            decodeMaxDepth: 2,
+            decodeMaxLength: 4096,
             stripCodeBlocks: true,
+            customSignatures: [], // Extra sanitizer signatures, see addSignature()
             
             // Heuristic detection
             heuristicWarnThreshold: 30,
@@ -40,29 +133,56 @@ class SentinelConfig {
             redactPII: true,
             redactSecrets: true,
             blockHarmfulContent: true,
+            customDetectors: [], // Extra PII/secret detectors, see registerDetector()
             
             // Logging
             enableLogging: true,
             logLevel: 'info', // 'debug', 'info', 'warn', 'error'
             logDestination: 'console', // 'console', 'file', 'remote'
+            logDestinations: [], // [{ type, level, format, categories, ...sink options }], replaces logDestination when set
+            logFormat: 'default', // 'default', 'json', 'ecs', 'cef', 'syslog'
+            syslogFacility: 16, // local0, used by logFormat 'syslog'
             logFilePath: './sentinel.log',
+            logMaxSize: 10485760, // bytes before rotating to logFilePath.1 (0 = no size limit)
+            logMaxFiles: 5, // rotated files kept
+            logRotateIntervalMs: 0, // also rotate files older than this (0 = off)
             remoteLogEndpoint: null,
+            remoteLogBatchSize: 50,
+            remoteLogFlushIntervalMs: 1000, // max delay before a partial batch is sent
+            remoteLogMaxRetries: 3, // per batch, with exponential backoff
+            remoteLogRetryDelayMs: 500,
+            remoteLogSpoolPath: './sentinel-remote.spool', // undelivered batches, resent once the endpoint is back (null = off)
+            logPrivacy: false, // hash raw text and redact excerpts in logs, callbacks and events
+            logPrivacySalt: null, // HMAC key for those hashes; random per process when null
+            logExcerptLength: 24, // characters kept on each side of a match in excerpts
+            auditLogPath: null, // hash-chained audit trail, check with verifyAuditLog() (null = off)
+            auditHmacKey: null, // signs audit records with HMAC-SHA256
             
             // Rate limiting
             enableRateLimit: false,
-            rateLimit: 100, // requests per minute
+            rateLimit: 100, // requests per rateLimitWindowMs
+            rateLimitWindowMs: 60000,
+            rateLimitStrategy: 'token-bucket', // 'token-bucket', 'sliding-window'
+            rateLimitStore: null, // Custom store ({ get, set, delete }), defaults to in-memory
             
             // Callbacks
             onThreatDetected: null,
             onBlocked: null,
-            onError: null
+            onError: null,
+
+            // Tracing
+            enableTracing: true, // OpenTelemetry spans, when @opentelemetry/api is installed or a tracer is set
+            tracer: null // OpenTelemetry Tracer, defaults to trace.getTracer('@neura-help/sentinel-community')
         };
 
+        // Deprecated-key warnings, reported by validate()
+        this.migrationDiagnostics = [];
+
+        // Where each non-default value came from, see getSource()
+        this.sources = {};
+
         // Merge with provided options
-        this.config = { ...this.defaults, ...options };
-        
-        // Validate configuration
-        this._validate();
+        this.config = this._merge(this.defaults, ['options', options]);
     }
 
     /**
@@ -90,8 +210,7 @@ class SentinelConfig {
      * @param {*} value - Value to set
      */
     set(key, value) {
-        this.config[key] = value;
-        this._validate();
+        this.config = this._merge(this.config, ['runtime', { [key]: value }]);
     }
 
     /**
@@ -99,8 +218,7 @@ class SentinelConfig {
      * @param {object} updates - Key-value pairs to update
      */
     update(updates) {
-        this.config = { ...this.config, ...updates };
-        this._validate();
+        this.config = this._merge(this.config, ['runtime', updates]);
     }
 
     /**
@@ -111,101 +229,241 @@ class SentinelConfig {
         return { ...this.config };
     }
 
+    /**
+     * Copy this configuration, including value sources and preset name
+     * @returns {SentinelConfig}
+     */
+    clone() {
+        const copy = new SentinelConfig();
+        copy.startTime = this.startTime;
+        copy.presetName = this.presetName;
+        copy.configFile = this.configFile;
+        copy.config = { ...this.config };
+        copy.sources = { ...this.sources };
+        copy.migrationDiagnostics = [...this.migrationDiagnostics];
+        return copy;
+    }
+
+    /**
+     * Keys whose values differ from another configuration. Values are shown
+     * in log-safe form (secrets hidden, lists summarized).
+     * @param {SentinelConfig} other - Configuration to compare with
+     * @returns {object} Key -> { from, to }
+     */
+    diff(other) {
+        const changes = {};
+        const keys = new Set([...Object.keys(this.config), ...Object.keys(other.config)]);
+
+        for (const key of keys) {
+            const from = this.config[key];
+            const to = other.config[key];
+            if (!sameValue(from, to)) {
+                changes[key] = { from: describeValue(key, from), to: describeValue(key, to) };
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Where the effective value of a key came from
+     * @param {string} key - Configuration key
+     * @returns {string|undefined} 'default', 'preset', 'file', 'env', 'options' or 'runtime'
+     */
+    getSource(key) {
+        if (this.sources[key]) {
+            return this.sources[key];
+        }
+        return key in this.defaults ? 'default' : undefined;
+    }
+
+    /**
+     * Source of every effective value, see getSource()
+     * @returns {object} Key -> source
+     */
+    getSources() {
+        const sources = {};
+        for (const key of Object.keys(this.config)) {
+            sources[key] = this.getSource(key);
+        }
+        return sources;
+    }
+
     /**
      * Reset to defaults
      */
     reset() {
         this.config = { ...this.defaults };
+        this.presetName = null;
+        this.migrationDiagnostics = [];
+        this.sources = {};
     }
 
     /**
      * Create a preset configuration
-     * @param {string} preset - Preset name
+     * @param {string} preset - Preset name (built-in or defined with definePreset())
+     * @param {object} overrides - Options applied on top of the preset
      * @returns {SentinelConfig} New config instance
      */
-    static preset(preset) {
-        const presets = {
-            minimal: {
-                securityLevel: 'minimal',
-                heuristicBlockThreshold: 90,
-                redactPII: false,
-                enableBehavioralAnalysis: false,
-                enableManipulationDetection: false
-            },
-            standard: {
-                securityLevel: 'standard',
-                heuristicBlockThreshold: 70,
-                redactPII: true,
-                redactSecrets: true
-            },
-            strict: {
-                securityLevel: 'strict',
-                heuristicBlockThreshold: 50,
-                heuristicWarnThreshold: 20,
-                redactPII: true,
-                redactSecrets: true,
-                blockHarmfulContent: true,
-                enableBehavioralAnalysis: true,
-                enableManipulationDetection: true,
-                maxInputLength: 5000
-            },
-            paranoid: {
-                securityLevel: 'strict',
-                heuristicBlockThreshold: 30,
-                heuristicWarnThreshold: 10,
-                redactPII: true,
-                redactSecrets: true,
-                blockHarmfulContent: true,
-                enableBehavioralAnalysis: true,
-                enableManipulationDetection: true,
-                maxInputLength: 2000,
-                enableRateLimit: true,
-                rateLimit: 30
-            }
-        };
+    static preset(preset, overrides = {}) {
+        const config = new SentinelConfig();
+        config.config = config._merge(config.defaults, ['preset', SentinelConfig.resolvePreset(preset)], ['options', overrides]);
+        config.presetName = preset;
+        return config;
+    }
 
-        if (!presets[preset]) {
-            throw new Error(`Unknown preset: ${preset}. Available: ${Object.keys(presets).join(', ')}`);
-        }
+    /**
+     * Load configuration from a file, environment variables and options.
+     * Precedence, lowest first: defaults, preset, file, SENTINEL_* variables, options.
+     * @param {object} sources
+     * @param {string} sources.preset - Preset name, see preset()
+     * @param {string} sources.file - JSON or flat YAML file; defaults to $SENTINEL_CONFIG
+     * @param {object} sources.env - Environment, defaults to process.env
+     * @param {object} sources.options - Explicit options
+     * @param {string} sources.prefix - Environment variable prefix
+     * @returns {Promise<SentinelConfig>}
+     */
+    static async load({ preset, file, env, options = {}, prefix = ENV_PREFIX } = {}) {
+        const environment = env ?? globalThis.process?.env ?? {};
+        const path = file ?? environment[`${prefix}CONFIG`] ?? null;
+        const presetOptions = preset ? SentinelConfig.resolvePreset(preset) : {};
+        const fileOptions = path ? await readConfigFile(path) : {};
 
-        return new SentinelConfig(presets[preset]);
+        const config = new SentinelConfig();
+        config.config = config._merge(
+            config.defaults,
+            ['preset', presetOptions],
+            ['file', fileOptions],
+            ['env', readEnv(environment, prefix)],
+            ['options', options]
+        );
+        config.configFile = path;
+        config.presetName = preset || null;
+        return config;
     }
 
     /**
-     * Validate configuration
+     * Define a custom preset, optionally extending another preset
+     * @param {string} name - Preset name (built-in names cannot be redefined)
+     * @param {object} definition - Options, plus `extends: 'strict'` to inherit from a preset
      */
-    _validate() {
-        const errors = [];
+    static definePreset(name, definition = {}) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Preset name must be a non-empty string');
+        }
+        if (BUILTIN_PRESETS[name]) {
+            throw new Error(`Cannot redefine built-in preset: ${name}`);
+        }
+
+        const { extends: parent, ...options } = definition;
+        customPresets.set(name, { extends: parent, options });
 
-        // Validate thresholds
-        if (this.config.heuristicWarnThreshold >= this.config.heuristicBlockThreshold) {
-            errors.push('heuristicWarnThreshold must be less than heuristicBlockThreshold');
+        // Resolve now so unknown parents and cycles fail at definition time
+        try {
+            SentinelConfig.resolvePreset(name);
+        } catch (error) {
+            customPresets.delete(name);
+            throw error;
         }
+    }
+
+    /**
+     * Remove a custom preset
+     * @param {string} name - Preset name
+     * @returns {boolean} Whether a preset was removed
+     */
+    static removePreset(name) {
+        return customPresets.delete(name);
+    }
 
-        if (this.config.heuristicBlockThreshold < 0 || this.config.heuristicBlockThreshold > 200) {
-            errors.push('heuristicBlockThreshold must be between 0 and 200');
+    /**
+     * List available preset names
+     * @returns {string[]}
+     */
+    static listPresets() {
+        return [...Object.keys(BUILTIN_PRESETS), ...customPresets.keys()];
+    }
+
+    /**
+     * Resolve a preset, following `extends` chains, into plain options
+     * @param {string} name - Preset name
+     * @returns {object} Options
+     */
+    static resolvePreset(name, chain = []) {
+        if (chain.includes(name)) {
+            throw new Error(`Preset inheritance cycle: ${[...chain, name].join(' -> ')}`);
+        }
+        if (BUILTIN_PRESETS[name]) {
+            return { ...BUILTIN_PRESETS[name] };
         }
 
-        // Validate security level
-        const validLevels = ['minimal', 'standard', 'strict'];
-        if (!validLevels.includes(this.config.securityLevel)) {
-            errors.push(`securityLevel must be one of: ${validLevels.join(', ')}`);
+        const custom = customPresets.get(name);
+        if (!custom) {
+            throw new Error(`Unknown preset: ${name}. Available: ${SentinelConfig.listPresets().join(', ')}`);
         }
 
-        // Validate log level
-        const validLogLevels = ['debug', 'info', 'warn', 'error'];
-        if (!validLogLevels.includes(this.config.logLevel)) {
-            errors.push(`logLevel must be one of: ${validLogLevels.join(', ')}`);
+        const inherited = custom.extends ? SentinelConfig.resolvePreset(custom.extends, [...chain, name]) : {};
+        return { ...inherited, ...custom.options };
+    }
+
+    /**
+     * Check the current configuration against the schema
+     * @returns {{ valid: boolean, errors: object[], warnings: object[] }}
+     */
+    validate() {
+        const diagnostics = [
+            ...this.migrationDiagnostics,
+            ...validateConfig(this.config).map(d => ({ ...d, source: this.getSource(rootKey(d.key)) }))
+        ];
+        const errors = diagnostics.filter(d => d.severity === 'error');
+        return {
+            valid: errors.length === 0,
+            errors,
+            warnings: diagnostics.filter(d => d.severity === 'warning')
+        };
+    }
+
+    /**
+     * Merge layers of options into a base configuration and validate the
+     * result. Later layers win. In strict mode nothing is applied when there
+     * are errors.
+     * @param {object} base - Current configuration
+     * @param {...Array} layers - [source, options] pairs
+     * @returns {object} Merged configuration
+     */
+    _merge(base, ...layers) {
+        const merged = { ...base };
+        const sources = {};
+        const diagnostics = [];
+
+        for (const [source, updates] of layers) {
+            const migrated = migrateDeprecatedKeys(updates || {});
+            diagnostics.push(...migrated.diagnostics.map(d => ({ ...d, source })));
+            for (const [key, value] of Object.entries(migrated.options)) {
+                merged[key] = value;
+                sources[key] = source;
+            }
         }
 
-        // Validate max input length
-        if (this.config.maxInputLength < 100 || this.config.maxInputLength > 100000) {
-            errors.push('maxInputLength must be between 100 and 100000');
+        const problems = [
+            ...diagnostics,
+            ...validateConfig(merged).map(d => ({ ...d, source: sources[rootKey(d.key)] ?? this.getSource(rootKey(d.key)) }))
+        ];
+
+        if (merged.strictConfig) {
+            const errors = problems.filter(d => d.severity === 'error');
+            if (errors.length > 0) {
+                throw new SentinelConfigError(errors);
+            }
         }
 
-        if (errors.length > 0) {
-            console.warn('SENTINEL Config Validation Warnings:', errors);
+        if (problems.length > 0) {
+            console.warn('SENTINEL Config Validation Warnings:', problems.map(d => d.message));
         }
+
+        this.migrationDiagnostics = [...this.migrationDiagnostics, ...diagnostics];
+        Object.assign(this.sources, sources);
+        return merged;
     }
 
     /**
@@ -215,9 +473,13 @@ class SentinelConfig {
         // Exclude sensitive data and callbacks
         const safeConfig = { ...this.config };
         delete safeConfig.apiKey;
+        delete safeConfig.auditHmacKey;
+        delete safeConfig.logPrivacySalt;
         delete safeConfig.onThreatDetected;
         delete safeConfig.onBlocked;
         delete safeConfig.onError;
+        delete safeConfig.rateLimitStore;
+        delete safeConfig.tracer;
         return JSON.stringify(safeConfig, null, 2);
     }
 
@@ -229,10 +491,11 @@ class SentinelConfig {
             const parsed = typeof json === 'string' ? JSON.parse(json) : json;
             this.update(parsed);
         } catch (error) {
+            if (error instanceof SentinelConfigError) throw error;
             throw new Error('Invalid configuration JSON: ' + error.message);
         }
     }
 }
 
-export { SentinelConfig };
+export { SentinelConfig, SentinelConfigError };
 export default SentinelConfig;
@@ -0,0 +1,158 @@
+/**
+ * SENTINEL V1.1 - Payload Decoders
+ *
+ * Speculatively decodes obfuscated input (base64, hex, URL encoding, ROT13,
+ * leetspeak) so injection signatures can be matched against what the model
+ * would actually read. Decoding is bounded by depth, size and variant count.
+ */
+
+const BASE64_RUN = /[A-Za-z0-9+/_-]{16,}={0,2}/g;
+const HEX_RUN = /(?:(?:\\x|0x)?[0-9a-fA-F]{2}[\s,:]?){8,}/g;
+const PERCENT_ESCAPE = /%[0-9a-fA-F]{2}/;
+const LEET_CHARS = /[0134578@$!|]/;
+const LEET_MAP = {
+    0: 'o',
+    1: 'i',
+    3: 'e',
+    4: 'a',
+    5: 's',
+    7: 't',
+    8: 'b',
+    '@': 'a',
+    $: 's',
+    '!': 'i',
+    '|': 'l'
+};
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Accept decoded bytes only if they form mostly printable UTF-8 text
+ */
+function bytesToText(bytes) {
+    let text;
+    try {
+        text = utf8.decode(bytes);
+    } catch (e) {
+        return null;
+    }
+    if (text.length === 0) return null;
+
+    const printable = text.match(/[\p{L}\p{N}\p{P}\p{Zs}\n\r\t]/gu)?.length || 0;
+    return printable / text.length >= 0.85 ? text : null;
+}
+
+// Each decoder returns [{ text, start, end }]: decoded text and the span of `text` it came from
+const decoders = {
+    base64(text) {
+        const decoded = [];
+        for (const { 0: run, index } of text.matchAll(BASE64_RUN)) {
+            let normalized = run.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+            if (normalized.length % 4 === 1) continue;
+            normalized += '='.repeat((4 - (normalized.length % 4)) % 4);
+            try {
+                const binary = atob(normalized);
+                const result = bytesToText(Uint8Array.from(binary, c => c.charCodeAt(0)));
+                if (result) decoded.push({ text: result, start: index, end: index + run.length });
+            } catch (e) {
+                // Not base64 after all
+            }
+        }
+        return decoded;
+    },
+
+    hex(text) {
+        const decoded = [];
+        for (const { 0: run, index } of text.matchAll(HEX_RUN)) {
+            const digits = run.replace(/\\x|0x|[\s,:]/gi, '');
+            if (digits.length % 2 !== 0) continue;
+            const bytes = new Uint8Array(digits.length / 2);
+            for (let i = 0; i < bytes.length; i++) {
+                bytes[i] = parseInt(digits.substr(i * 2, 2), 16);
+            }
+            const result = bytesToText(bytes);
+            if (result) decoded.push({ text: result, start: index, end: index + run.length });
+        }
+        return decoded;
+    },
+
+    url(text) {
+        if (!PERCENT_ESCAPE.test(text)) return [];
+        try {
+            return [whole(text, decodeURIComponent(text.replace(/\+/g, ' ')))];
+        } catch (e) {
+            // Malformed sequences: decode the valid escapes one at a time
+            return [whole(text, text.replace(/%([0-9a-fA-F]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))))];
+        }
+    },
+
+    rot13(text) {
+        if (!/[a-z]/i.test(text)) return [];
+        return [whole(text, text.replace(/[a-z]/gi, c => {
+            const base = c <= 'Z' ? 65 : 97;
+            return String.fromCharCode(((c.charCodeAt(0) - base + 13) % 26) + base);
+        }))];
+    },
+
+    leetspeak(text) {
+        // Only worth trying when digits or symbols sit inside words
+        if (!LEET_CHARS.test(text) || !/[a-z]/i.test(text)) return [];
+        return [whole(text, text.replace(/[0134578@$!|]/g, c => LEET_MAP[c]))];
+    }
+};
+
+function whole(text, decoded) {
+    return { text: decoded, start: 0, end: text.length };
+}
+
+/**
+ * Produce decoded variants of a text
+ * @param {string} text - Input text
+ * @param {object} options
+ * @param {number} [options.maxDepth=2] - Maximum number of nested decodings
+ * @param {number} [options.maxLength=4096] - Longer inputs/outputs are truncated/skipped
+ * @param {number} [options.maxVariants=32] - Upper bound on variants returned
+ * @returns {Array<{text: string, encoding: string, start: number, end: number}>} Variants; `encoding` is the
+ *   chain, e.g. 'base64>rot13', and start/end the span of `text` the first decoding step read
+ */
+function decodeVariants(text, options = {}) {
+    const { maxDepth = 2, maxLength = 4096, maxVariants = 32 } = options;
+    const variants = [];
+    const seen = new Set([text]);
+    let frontier = [{ text: text.slice(0, maxLength), chain: [] }];
+
+    for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+        const next = [];
+
+        for (const node of frontier) {
+            for (const [name, decode] of Object.entries(decoders)) {
+                // Undoing the previous step (e.g. rot13 twice) only yields the input again
+                if (node.chain[node.chain.length - 1] === name && (name === 'rot13' || name === 'leetspeak')) {
+                    continue;
+                }
+
+                for (const { text: decoded, start, end } of decode(node.text)) {
+                    if (decoded.length > maxLength || seen.has(decoded)) continue;
+                    seen.add(decoded);
+
+                    // Nested decodings point at the span their outermost encoding came from
+                    const span = node.span || { start, end };
+                    const variant = { text: decoded, chain: [...node.chain, name], span };
+                    variants.push({ text: decoded, encoding: variant.chain.join('>'), ...span });
+                    next.push(variant);
+
+                    if (variants.length >= maxVariants) {
+                        return variants;
+                    }
+                }
+            }
+        }
+
+        frontier = next;
+    }
+
+    return variants;
+}
+
+export { decodeVariants, decoders };
+export default decodeVariants;
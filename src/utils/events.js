@@ -0,0 +1,122 @@
+/**
+ * SENTINEL V1.1 - Event Emitter
+ *
+ * Minimal emitter with no Node.js dependency, so Sentinel can emit events
+ * in browser and edge runtimes too.
+ */
+
+class SentinelEmitter {
+    constructor() {
+        this._listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event. `'*'` receives every event.
+     * @param {string} event - Event name
+     * @param {function} listener - Called with the event payload
+     * @returns {this}
+     */
+    on(event, listener) {
+        if (typeof listener !== 'function') {
+            throw new Error('Event listener must be a function');
+        }
+        if (!this._listeners.has(event)) {
+            this._listeners.set(event, []);
+        }
+        this._listeners.get(event).push(listener);
+        return this;
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} event - Event name
+     * @param {function} listener - Called with the event payload
+     * @returns {this}
+     */
+    once(event, listener) {
+        const wrapper = (payload) => {
+            this.off(event, wrapper);
+            return listener(payload);
+        };
+        wrapper.listener = listener;
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Unsubscribe a listener
+     * @param {string} event - Event name
+     * @param {function} listener - Listener passed to on() or once()
+     * @returns {this}
+     */
+    off(event, listener) {
+        const listeners = this._listeners.get(event);
+        if (!listeners) return this;
+
+        const index = listeners.findIndex(l => l === listener || l.listener === listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+        if (listeners.length === 0) {
+            this._listeners.delete(event);
+        }
+        return this;
+    }
+
+    /**
+     * Remove all listeners, or all listeners of one event
+     * @param {string} [event] - Event name
+     * @returns {this}
+     */
+    removeAllListeners(event) {
+        if (event === undefined) {
+            this._listeners.clear();
+        } else {
+            this._listeners.delete(event);
+        }
+        return this;
+    }
+
+    /**
+     * Number of listeners for an event
+     * @param {string} event - Event name
+     * @returns {number}
+     */
+    listenerCount(event) {
+        return this._listeners.get(event)?.length || 0;
+    }
+
+    /**
+     * Call the listeners of an event, then the `'*'` listeners. A listener
+     * that throws or rejects is reported and does not affect the caller or
+     * the other listeners.
+     * @param {string} event - Event name
+     * @param {object} payload - Event payload
+     * @returns {boolean} Whether any listener was called
+     */
+    emit(event, payload) {
+        const listeners = [
+            ...(this._listeners.get(event) || []),
+            ...(event === '*' ? [] : this._listeners.get('*') || [])
+        ];
+
+        for (const listener of listeners) {
+            try {
+                const returned = listener(payload);
+                if (returned && typeof returned.catch === 'function') {
+                    returned.catch(error => this._listenerFailed(event, error));
+                }
+            } catch (error) {
+                this._listenerFailed(event, error);
+            }
+        }
+
+        return listeners.length > 0;
+    }
+
+    _listenerFailed(event, error) {
+        console.error(`SENTINEL event listener for "${event}" failed:`, error);
+    }
+}
+
+export { SentinelEmitter };
+export default SentinelEmitter;
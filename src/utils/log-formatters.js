@@ -0,0 +1,230 @@
+/**
+ * SENTINEL V1.1 - Log Formatters
+ *
+ * Render ThreatLogger entries as JSON, ECS JSON, CEF or RFC 5424 syslog.
+ * Every format is built from the same normalized event, so threat type,
+ * severity, session id and action keep the same meaning across formats.
+ */
+
+const PRODUCT_VERSION = '1.1.0';
+
+// Documentation enterprise number from RFC 5612, used for syslog structured data
+const SYSLOG_SD_ID = 'sentinel@32473';
+
+const SEVERITY_SCORES = {
+    low: 3,
+    medium: 5,
+    high: 8,
+    critical: 10
+};
+
+// Entry severity when no threat severity is attached
+const LEVEL_SEVERITIES = {
+    debug: 'low',
+    info: 'low',
+    warn: 'medium',
+    error: 'high'
+};
+
+const SYSLOG_LEVELS = {
+    debug: 7,
+    info: 6,
+    warn: 4,
+    error: 3
+};
+
+const ACTIONS = {
+    THREAT: 'flagged',
+    BLOCKED: 'blocked',
+    RATE_LIMITED: 'rate_limited',
+    ERROR: 'error',
+    CALLBACK_ERROR: 'error'
+};
+
+let hostname = '-';
+try {
+    if (typeof globalThis.process?.versions?.node === 'string') {
+        const os = await import('os');
+        hostname = os.hostname() || '-';
+    }
+} catch (e) {
+    // No os module (browser/edge), syslog uses the nil hostname
+    hostname = '-';
+}
+
+/**
+ * Map a logger entry to the fields shared by every format
+ * @param {object} entry - { level, category, data, timestamp }
+ * @returns {object} { timestamp, level, category, action, threatType, severity, sessionId, ruleId, message, data }
+ */
+function normalizeEntry(entry) {
+    const data = entry.data || {};
+    const severity = SEVERITY_SCORES[data.severity] ? data.severity : LEVEL_SEVERITIES[entry.level] || 'low';
+
+    return {
+        timestamp: entry.timestamp,
+        level: entry.level,
+        category: entry.category,
+        action: ACTIONS[entry.category] || (entry.category === 'AUDIT' ? data.action : 'logged'),
+        threatType: data.type ?? null,
+        severity,
+        sessionId: data.sessionId ?? null,
+        ruleId: data.signatureId ?? null,
+        message: describeEntry(entry),
+        data
+    };
+}
+
+function describeEntry(entry) {
+    const data = entry.data || {};
+    switch (entry.category) {
+    case 'THREAT':
+        return `Threat detected: ${data.type} (${data.severity})` + (data.details ? ` - ${data.details}` : '');
+    case 'BLOCKED':
+        return `Request blocked: ${data.reason}`;
+    case 'RATE_LIMITED':
+        return `Rate limit exceeded for ${data.key}`;
+    case 'AUDIT':
+        return `Audit: ${data.action}`;
+    default:
+        return data.message || entry.category;
+    }
+}
+
+/**
+ * Plain JSON line with the normalized fields
+ */
+function formatJson(entry) {
+    return JSON.stringify(normalizeEntry(entry));
+}
+
+/**
+ * Elastic Common Schema JSON line
+ */
+function formatEcs(entry, options = {}) {
+    const event = normalizeEntry(entry);
+    const isThreat = event.category === 'THREAT' || event.category === 'BLOCKED';
+
+    const document = {
+        '@timestamp': event.timestamp,
+        message: event.message,
+        log: { level: event.level, logger: 'sentinel' },
+        ecs: { version: '8.11.0' },
+        event: {
+            kind: isThreat ? 'alert' : 'event',
+            category: isThreat ? ['intrusion_detection'] : ['process'],
+            type: [event.action === 'blocked' || event.action === 'rate_limited' ? 'denied' : 'info'],
+            action: event.action,
+            severity: SEVERITY_SCORES[event.severity],
+            module: 'sentinel',
+            dataset: `sentinel.${String(event.category).toLowerCase()}`
+        },
+        service: { name: 'sentinel', environment: options.environment },
+        sentinel: {
+            action: event.action,
+            threat_type: event.threatType,
+            severity: event.severity,
+            session_id: event.sessionId,
+            data: event.data
+        }
+    };
+
+    if (event.ruleId || event.threatType) {
+        document.rule = { id: event.ruleId ?? undefined, category: event.threatType ?? undefined };
+    }
+
+    return JSON.stringify(document);
+}
+
+/**
+ * ArcSight Common Event Format line
+ */
+function formatCef(entry) {
+    const event = normalizeEntry(entry);
+    const header = [
+        'CEF:0',
+        'Neura',
+        'SENTINEL Community',
+        PRODUCT_VERSION,
+        event.ruleId || event.threatType || event.category,
+        event.message,
+        SEVERITY_SCORES[event.severity]
+    ].map(escapeCefHeader).join('|');
+
+    const extension = {
+        rt: Date.parse(event.timestamp),
+        act: event.action,
+        cat: event.threatType ?? event.category,
+        cs1Label: 'sessionId',
+        cs1: event.sessionId,
+        cs2Label: 'severity',
+        cs2: event.severity,
+        msg: event.message
+    };
+
+    const pairs = Object.entries(extension)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `${key}=${escapeCefValue(value)}`);
+
+    return `${header}|${pairs.join(' ')}`;
+}
+
+/**
+ * RFC 5424 syslog line
+ */
+function formatSyslog(entry, options = {}) {
+    const event = normalizeEntry(entry);
+    const facility = options.facility ?? 16;
+    const level = event.severity === 'critical' ? 2 : SYSLOG_LEVELS[event.level] ?? 6;
+    const procId = globalThis.process?.pid ?? '-';
+
+    const params = {
+        action: event.action,
+        threatType: event.threatType,
+        severity: event.severity,
+        sessionId: event.sessionId,
+        ruleId: event.ruleId
+    };
+    const structured = Object.entries(params)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `${key}="${escapeSdValue(value)}"`);
+
+    return `<${facility * 8 + level}>1 ${event.timestamp} ${hostname} sentinel ${procId} ${event.category} ` +
+        `[${SYSLOG_SD_ID} ${structured.join(' ')}] ${event.message.replace(/[\r\n]+/g, ' ')}`;
+}
+
+const formatters = {
+    json: formatJson,
+    ecs: formatEcs,
+    cef: formatCef,
+    syslog: formatSyslog
+};
+
+/**
+ * Render an entry in a named format
+ * @param {object} entry - Logger entry
+ * @param {string} format - 'json', 'ecs', 'cef' or 'syslog'
+ * @param {object} options - { environment, facility }
+ * @returns {string} One line, without a trailing newline
+ */
+function formatLogEntry(entry, format, options = {}) {
+    const formatter = formatters[format];
+    if (!formatter) {
+        throw new Error(`Unknown log format: ${format}. Available: ${Object.keys(formatters).join(', ')}`);
+    }
+    return formatter(entry, options);
+}
+
+function escapeCefHeader(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+}
+
+function escapeCefValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/=/g, '\\=').replace(/\r?\n/g, '\\n');
+}
+
+function escapeSdValue(value) {
+    return String(value).replace(/[\\"\]]/g, '\\$&');
+}
+
+export { formatLogEntry, normalizeEntry, formatters, SEVERITY_SCORES };
@@ -0,0 +1,161 @@
+/**
+ * SENTINEL V1.1 - Log Privacy
+ *
+ * Privacy mode for logs, callbacks and events (logPrivacy: true). Raw input
+ * and output text is replaced by a salted hash and its length, and match
+ * excerpts are cut to a short window with PII and secrets redacted.
+ */
+
+let crypto = null;
+try {
+    if (typeof globalThis.process?.versions?.node === 'string') {
+        crypto = await import('crypto');
+    }
+} catch (e) {
+    // No crypto module (browser/edge), text is replaced by its length only
+    crypto = null;
+}
+
+// Fields that hold raw user or model text
+const TEXT_FIELDS = new Set(['original', 'output', 'input', 'prompt', 'text']);
+
+// Fields that hold a short excerpt of the text around a match
+const EXCERPT_FIELDS = new Set(['excerpt']);
+
+// Fields that hold characters copied from the text (Unicode folding samples)
+const SAMPLE_FIELDS = new Set(['samples']);
+
+class LogPrivacy {
+    /**
+     * @param {object} options
+     * @param {string|null} options.salt - HMAC key for hashes; random per process when null
+     * @param {number} options.excerptLength - Characters kept on each side of a match
+     * @param {function} options.findSpans - (text) => [{ start, end, type, detector }] of PII/secrets to mask
+     */
+    constructor({ salt = null, excerptLength = 24, findSpans = null } = {}) {
+        this.salt = salt ?? (crypto ? crypto.randomBytes(16).toString('hex') : null);
+        this.excerptLength = excerptLength;
+        this.findSpans = findSpans;
+    }
+
+    /**
+     * Stand-in for a raw text value
+     * @param {string} text - Raw text
+     * @returns {{ hash: string|null, length: number }}
+     */
+    hash(text) {
+        const hash = crypto
+            ? 'hmac-sha256:' + crypto.createHmac('sha256', this.salt).update(text).digest('hex')
+            : null;
+        return { hash, length: text.length };
+    }
+
+    /**
+     * The text around text[start, end), with PII and secrets masked
+     * @param {string} text - Full text
+     * @param {number} start - Match start offset
+     * @param {number} end - Match end offset
+     * @returns {string}
+     */
+    excerpt(text, start, end) {
+        const from = Math.max(0, start - this.excerptLength);
+        const to = Math.min(text.length, end + this.excerptLength);
+        const window = this.redact(text, from, to);
+        return (from > 0 ? '…' : '') + window + (to < text.length ? '…' : '');
+    }
+
+    /**
+     * Mask PII and secrets found by findSpans in text[from, to). Spans are
+     * found in the whole text, so a value cut by the window is still masked.
+     * @param {string} text - Text
+     * @param {number} from - Window start
+     * @param {number} to - Window end
+     * @returns {string}
+     */
+    redact(text, from = 0, to = text.length) {
+        if (!this.findSpans) return text.slice(from, to);
+
+        let spans;
+        try {
+            spans = this.findSpans(text) || [];
+        } catch (error) {
+            return '[REDACTED]';
+        }
+
+        let result = '';
+        let position = from;
+        for (const span of [...spans].sort((a, b) => a.start - b.start)) {
+            if (span.end <= position || span.start >= to) continue;
+            result += text.slice(position, Math.max(position, span.start)) + `[REDACTED:${span.detector ?? span.type}]`;
+            position = Math.min(span.end, to);
+        }
+        return result + text.slice(position, to);
+    }
+
+    /**
+     * Copy of a value that is safe to log. Text fields are hashed; threats
+     * with start/end offsets get an excerpt of the text they were found in;
+     * sample lists are replaced by their count.
+     * @param {*} value - Log data, callback argument or event payload
+     * @returns {*}
+     */
+    scrub(value) {
+        return this._scrub(value, null, new WeakMap());
+    }
+
+    _scrub(value, source, seen) {
+        if (Array.isArray(value)) {
+            if (seen.has(value)) return seen.get(value);
+            const copy = [];
+            seen.set(value, copy);
+            for (const item of value) {
+                copy.push(this._scrub(item, source, seen));
+            }
+            return copy;
+        }
+
+        if (!isPlainObject(value)) {
+            return value;
+        }
+        if (seen.has(value)) return seen.get(value);
+
+        const copy = {};
+        seen.set(value, copy);
+
+        // Offsets in nested threats/redactions refer to this object's text
+        const text = typeof value.original === 'string' ? value.original : source;
+
+        for (const [key, item] of Object.entries(value)) {
+            if (TEXT_FIELDS.has(key) && typeof item === 'string') {
+                copy[key] = this.hash(item);
+            } else if (EXCERPT_FIELDS.has(key) && typeof item === 'string') {
+                copy[key] = this._safeExcerpt(value, item, source);
+            } else if (SAMPLE_FIELDS.has(key) && Array.isArray(item)) {
+                copy[key] = { count: item.length };
+            } else {
+                copy[key] = this._scrub(item, text, seen);
+            }
+        }
+        return copy;
+    }
+
+    _safeExcerpt(finding, excerpt, source) {
+        const { start, end } = finding;
+        if (source && Number.isInteger(start) && Number.isInteger(end) && end <= source.length) {
+            return this.excerpt(source, start, end);
+        }
+
+        // No source text to cut from: cap the excerpt itself and mask it
+        const limit = this.excerptLength * 2;
+        const masked = this.redact(excerpt, 0, Math.min(limit, excerpt.length));
+        return excerpt.length > limit ? masked + '…' : masked;
+    }
+}
+
+function isPlainObject(value) {
+    if (!value || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+export { LogPrivacy, TEXT_FIELDS };
@@ -0,0 +1,332 @@
+/**
+ * SENTINEL V1.1 - Log Sinks
+ *
+ * Durable destinations for ThreatLogger: a file sink with size/time based
+ * rotation, and a remote sink that batches entries, retries with backoff
+ * and spools undelivered batches to disk until the endpoint is back.
+ */
+
+// Request timeout for one batch POST
+const REMOTE_TIMEOUT_MS = 10000;
+
+/**
+ * Append-only log file, rotated to `<path>.1` ... `<path>.<maxFiles>`
+ */
+class FileSink {
+    /**
+     * @param {object} options
+     * @param {string} options.path - Log file path
+     * @param {number} options.maxSize - Rotate before the file exceeds this many bytes (0 = never)
+     * @param {number} options.maxFiles - Rotated files to keep
+     * @param {number} options.rotateIntervalMs - Rotate files older than this (0 = never)
+     */
+    constructor({ path, maxSize = 0, maxFiles = 5, rotateIntervalMs = 0 }) {
+        this.path = path;
+        this.maxSize = maxSize;
+        this.maxFiles = maxFiles;
+        this.rotateIntervalMs = rotateIntervalMs;
+
+        // Current file size and creation time, read from disk on first write
+        this.size = null;
+        this.openedAt = null;
+
+        // Writes run one at a time so rotation never interleaves with appends
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Append a line
+     * @param {string} line - Line without trailing newline
+     * @returns {Promise<void>} Resolves once written; rejects if the write failed
+     */
+    write(line) {
+        const task = this.queue.then(() => this._append(line + '\n'));
+        this.queue = task.catch(() => {});
+        return task;
+    }
+
+    /**
+     * Wait for pending writes
+     */
+    async flush() {
+        await this.queue;
+    }
+
+    async close() {
+        await this.flush();
+    }
+
+    async _append(text) {
+        const fs = await import('fs/promises');
+
+        if (this.size === null) {
+            await this._stat(fs);
+        }
+
+        const bytes = Buffer.byteLength(text);
+        const tooLarge = this.maxSize > 0 && this.size > 0 && this.size + bytes > this.maxSize;
+        const tooOld = this.rotateIntervalMs > 0 && Date.now() - this.openedAt >= this.rotateIntervalMs;
+        if (tooLarge || (tooOld && this.size > 0)) {
+            await this._rotate(fs);
+        }
+
+        await fs.appendFile(this.path, text);
+        this.size += bytes;
+    }
+
+    async _stat(fs) {
+        try {
+            const stat = await fs.stat(this.path);
+            this.size = stat.size;
+            this.openedAt = stat.birthtimeMs || stat.mtimeMs;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.size = 0;
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Shift <path>.N -> <path>.N+1, dropping files past maxFiles, then
+     * move the current file to <path>.1
+     */
+    async _rotate(fs) {
+        if (this.maxFiles < 1) {
+            await fs.rm(this.path, { force: true });
+        } else {
+            await fs.rm(`${this.path}.${this.maxFiles}`, { force: true });
+            for (let i = this.maxFiles - 1; i >= 1; i--) {
+                await renameIfExists(fs, `${this.path}.${i}`, `${this.path}.${i + 1}`);
+            }
+            await renameIfExists(fs, this.path, `${this.path}.1`);
+        }
+
+        this.size = 0;
+        this.openedAt = Date.now();
+    }
+}
+
+/**
+ * Batched HTTP sink. write() only queues; batches are sent when batchSize
+ * lines are waiting or flushIntervalMs after the first queued line.
+ */
+class RemoteSink {
+    /**
+     * @param {object} options
+     * @param {string} options.endpoint - URL to POST batches to
+     * @param {function} options.fetch - Fetch implementation
+     * @param {string} options.contentType - 'application/json' sends a JSON array, anything else newline-separated lines
+     * @param {number} options.batchSize - Lines per request
+     * @param {number} options.flushIntervalMs - Delay before sending a partial batch
+     * @param {number} options.maxRetries - Retries per batch before spooling
+     * @param {number} options.retryDelayMs - First retry delay, doubled on each retry
+     * @param {string|null} options.spoolPath - File for undelivered lines (null = no spooling)
+     * @param {function} options.onDrop - Called with lines that could not be delivered or spooled
+     */
+    constructor(options) {
+        this.endpoint = options.endpoint;
+        this.fetch = options.fetch;
+        this.contentType = options.contentType || 'application/json';
+        this.batchSize = options.batchSize ?? 50;
+        this.flushIntervalMs = options.flushIntervalMs ?? 1000;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.retryDelayMs = options.retryDelayMs ?? 500;
+        this.spoolPath = options.spoolPath ?? null;
+        this.onDrop = options.onDrop || (() => {});
+
+        this.pending = [];
+        this.timer = null;
+        this.closed = false;
+
+        // Batches are sent one at a time, in order
+        this.sending = Promise.resolve();
+
+        this.stats = { sent: 0, retried: 0, spooled: 0, dropped: 0 };
+    }
+
+    /**
+     * Queue a line for delivery
+     * @param {string} line - Serialized log entry
+     */
+    write(line) {
+        if (this.closed) {
+            this.onDrop([line]);
+            this.stats.dropped++;
+            return;
+        }
+
+        this.pending.push(line);
+
+        if (this.pending.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushIntervalMs);
+            this.timer.unref?.();
+        }
+    }
+
+    /**
+     * Send any spooled lines, then everything queued so far
+     * @returns {Promise<void>} Resolves when the queued lines were delivered, spooled or dropped
+     */
+    flush() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const lines = this.pending;
+        this.pending = [];
+
+        this.sending = this.sending
+            .then(() => this._deliver(lines))
+            .catch(error => console.error('Failed to deliver remote log entries:', error));
+        return this.sending;
+    }
+
+    /**
+     * Flush and stop accepting lines
+     */
+    async close() {
+        this.closed = true;
+        await this.flush();
+    }
+
+    async _deliver(lines) {
+        // Spooled lines are older, so they go first; while they cannot be
+        // sent, new lines are spooled behind them
+        if (!(await this._drainSpool())) {
+            await this._spool(lines);
+            return;
+        }
+
+        for (let i = 0; i < lines.length; i += this.batchSize) {
+            const batch = lines.slice(i, i + this.batchSize);
+            if (!(await this._sendWithRetry(batch))) {
+                // Endpoint is down: keep the rest for later instead of retrying every batch
+                await this._spool(lines.slice(i));
+                return;
+            }
+        }
+    }
+
+    async _sendWithRetry(batch) {
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            if (attempt > 0) {
+                this.stats.retried++;
+                await sleep(this.retryDelayMs * 2 ** (attempt - 1));
+            }
+
+            const status = await this._send(batch);
+            if (status === 'ok') {
+                this.stats.sent += batch.length;
+                return true;
+            }
+            if (status === 'rejected') {
+                // The endpoint refused the payload; resending it will not help
+                this._drop(batch);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * POST one batch
+     * @returns {Promise<string>} 'ok', 'retry' or 'rejected'
+     */
+    async _send(batch) {
+        const body = this.contentType === 'application/json'
+            ? `[${batch.join(',')}]`
+            : batch.join('\n') + '\n';
+
+        try {
+            const response = await this.fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': this.contentType,
+                    'X-Sentinel-Version': '1.0',
+                    'X-Sentinel-Batch-Size': String(batch.length)
+                },
+                body,
+                signal: globalThis.AbortSignal?.timeout?.(REMOTE_TIMEOUT_MS)
+            });
+
+            if (response.ok) return 'ok';
+            if (response.status === 408 || response.status === 429 || response.status >= 500) return 'retry';
+
+            console.error(`Remote log endpoint rejected batch: HTTP ${response.status}`);
+            return 'rejected';
+        } catch (error) {
+            return 'retry';
+        }
+    }
+
+    async _spool(lines) {
+        if (lines.length === 0) return;
+
+        if (!this.spoolPath) {
+            console.error(`Remote log endpoint unavailable, ${lines.length} entries not delivered`);
+            this._drop(lines);
+            return;
+        }
+
+        try {
+            const fs = await import('fs/promises');
+            await fs.appendFile(this.spoolPath, lines.join('\n') + '\n');
+            this.stats.spooled += lines.length;
+        } catch (error) {
+            console.error('Failed to spool remote log entries:', error);
+            this._drop(lines);
+        }
+    }
+
+    /**
+     * Resend spooled lines. Lines that still fail are written back to the spool.
+     * @returns {Promise<boolean>} Whether the spool is now empty
+     */
+    async _drainSpool() {
+        if (!this.spoolPath) return true;
+
+        const fs = await import('fs/promises');
+        let text;
+        try {
+            text = await fs.readFile(this.spoolPath, 'utf8');
+        } catch (error) {
+            // No spool file
+            return true;
+        }
+
+        // Sends are serialized, so nothing is appended to the spool while it drains
+        const lines = text.split('\n').filter(Boolean);
+        for (let i = 0; i < lines.length; i += this.batchSize) {
+            const batch = lines.slice(i, i + this.batchSize);
+            if (!(await this._sendWithRetry(batch))) {
+                await fs.writeFile(this.spoolPath, lines.slice(i).join('\n') + '\n');
+                return false;
+            }
+        }
+
+        await fs.rm(this.spoolPath, { force: true });
+        return true;
+    }
+
+    _drop(lines) {
+        this.stats.dropped += lines.length;
+        this.onDrop(lines);
+    }
+}
+
+async function renameIfExists(fs, from, to) {
+    try {
+        await fs.rename(from, to);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export { FileSink, RemoteSink };
@@ -0,0 +1,224 @@
+/**
+ * SENTINEL V1.1 - Metrics
+ *
+ * Counters and histograms fed by Sentinel events, rendered in the
+ * OpenMetrics text format (also readable by Prometheus).
+ */
+
+const METRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Seconds; protect() and filterOutput() normally finish in a few milliseconds
+const DEFAULT_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+class Counter {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = labelKey(this.labelNames, labels);
+        this.values.set(key, (this.values.get(key) || 0) + value);
+    }
+
+    get(labels = {}) {
+        return this.values.get(labelKey(this.labelNames, labels)) || 0;
+    }
+
+    render() {
+        const lines = [`# TYPE ${this.name} counter`, `# HELP ${this.name} ${this.help}`];
+        for (const [key, value] of this.values) {
+            lines.push(`${this.name}_total${key} ${value}`);
+        }
+        // Unlabelled counters are reported from zero
+        if (this.values.size === 0 && this.labelNames.length === 0) {
+            lines.push(`${this.name}_total 0`);
+        }
+        return lines;
+    }
+
+    reset() {
+        this.values.clear();
+    }
+}
+
+class Histogram {
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        this.series = new Map();
+    }
+
+    observe(value, labels = {}) {
+        const key = labelKey(this.labelNames, labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels: { ...labels }, counts: this.buckets.map(() => 0), count: 0, sum: 0 };
+            this.series.set(key, series);
+        }
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.count++;
+        series.sum += value;
+    }
+
+    render() {
+        const lines = [`# TYPE ${this.name} histogram`, `# HELP ${this.name} ${this.help}`];
+        const bucketLabels = [...this.labelNames, 'le'];
+        for (const [key, series] of this.series) {
+            this.buckets.forEach((bound, i) => {
+                const labels = labelKey(bucketLabels, { ...series.labels, le: String(bound) });
+                lines.push(`${this.name}_bucket${labels} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${labelKey(bucketLabels, { ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_count${key} ${series.count}`);
+            lines.push(`${this.name}_sum${key} ${series.sum}`);
+        }
+        return lines;
+    }
+
+    reset() {
+        this.series.clear();
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    counter(name, help, labelNames) {
+        return this._register(new Counter(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this._register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    get(name) {
+        return this.metrics.get(name);
+    }
+
+    /**
+     * Render every metric as OpenMetrics text
+     * @returns {string}
+     */
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(...metric.render());
+        }
+        lines.push('# EOF');
+        return lines.join('\n') + '\n';
+    }
+
+    reset() {
+        for (const metric of this.metrics.values()) {
+            metric.reset();
+        }
+    }
+
+    _register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric "${metric.name}" is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+}
+
+/**
+ * Sentinel's metric set. observe() takes the same (event, payload) pairs
+ * Sentinel emits to its listeners.
+ */
+class SentinelMetrics {
+    constructor() {
+        this.registry = new MetricsRegistry();
+
+        this.inputs = this.registry.counter('sentinel_inputs', 'Inputs processed by protect(), by decision.', ['decision']);
+        this.threats = this.registry.counter('sentinel_threats', 'Threats detected in inputs.', ['type', 'severity']);
+        this.blocked = this.registry.counter('sentinel_blocked', 'Blocked requests, by stage.', ['stage']);
+        this.rateLimited = this.registry.counter('sentinel_rate_limited', 'Requests rejected by the rate limiter.');
+        this.outputs = this.registry.counter('sentinel_outputs', 'Outputs processed by filterOutput().');
+        this.redactions = this.registry.counter('sentinel_redactions', 'Redacted values in outputs.', ['type', 'detector']);
+        this.pipelineErrors = this.registry.counter('sentinel_pipeline_errors', 'LLM callback and stream failures.', ['stage']);
+        this.configChanges = this.registry.counter('sentinel_config_changes', 'Applied reconfigure() calls.');
+        this.protectDuration = this.registry.histogram('sentinel_protect_duration_seconds', 'protect() latency.');
+        this.filterDuration = this.registry.histogram('sentinel_filter_output_duration_seconds', 'filterOutput() latency.');
+    }
+
+    /**
+     * Record an event
+     * @param {string} event - Event name
+     * @param {object} payload - Event payload
+     */
+    observe(event, payload) {
+        switch (event) {
+        case 'input:sanitized':
+            this.inputs.inc({ decision: payload.decision });
+            this.protectDuration.observe(durationSeconds(payload));
+            break;
+        case 'threat':
+            this.threats.inc({ type: payload.threat.type, severity: payload.threat.severity });
+            break;
+        case 'blocked':
+            this.blocked.inc({ stage: payload.stage });
+            break;
+        case 'ratelimit:exceeded':
+            this.rateLimited.inc();
+            break;
+        case 'output:filtered':
+            this.outputs.inc();
+            this.filterDuration.observe(durationSeconds(payload));
+            break;
+        case 'output:redacted':
+            for (const redaction of payload.redactions) {
+                this.redactions.inc({ type: redaction.type, detector: redaction.detector }, redaction.count);
+            }
+            break;
+        case 'pipeline:error':
+            this.pipelineErrors.inc({ stage: payload.stage });
+            break;
+        case 'config:changed':
+            this.configChanges.inc();
+            break;
+        }
+    }
+
+    render() {
+        return this.registry.render();
+    }
+
+    reset() {
+        this.registry.reset();
+    }
+}
+
+/**
+ * Latency of an event in seconds. durationMs is fractional; processingTime
+ * (whole milliseconds) is the fallback for payloads emitted without it.
+ */
+function durationSeconds(payload) {
+    return (payload.durationMs ?? payload.processingTime) / 1000;
+}
+
+/**
+ * Serialize labels in a fixed order, e.g. {type="pii",detector="email"}
+ */
+function labelKey(labelNames, labels) {
+    if (labelNames.length === 0) return '';
+    const pairs = labelNames.map(name => `${name}="${escapeLabel(labels[name] ?? '')}"`);
+    return `{${pairs.join(',')}}`;
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+export { SentinelMetrics, MetricsRegistry, Counter, Histogram, METRICS_CONTENT_TYPE, DEFAULT_BUCKETS };
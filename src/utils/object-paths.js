@@ -0,0 +1,68 @@
+/**
+ * SENTINEL V1.1 - Object Path Helpers
+ *
+ * Resolves dot-notation field paths (e.g. 'messages.*.content') in request
+ * and response bodies for the framework integrations.
+ */
+
+/**
+ * Find every string value matching a path pattern
+ * @param {object} target - Object to search
+ * @param {string} pattern - Dot-separated path; '*' matches any key or index
+ * @returns {Array<{parent: object, key: string|number, path: string, value: string}>}
+ */
+function findStringFields(target, pattern) {
+    const segments = String(pattern).split('.').filter(Boolean);
+    const found = [];
+
+    const walk = (node, index, trail) => {
+        if (node === null || typeof node !== 'object') return;
+
+        const segment = segments[index];
+        const keys = segment === '*' ? Object.keys(node) : [segment];
+        const last = index === segments.length - 1;
+
+        for (const key of keys) {
+            if (!Object.prototype.hasOwnProperty.call(node, key)) continue;
+
+            const value = node[key];
+            const path = trail ? `${trail}.${key}` : String(key);
+
+            if (last) {
+                if (typeof value === 'string') {
+                    found.push({ parent: node, key, path, value });
+                }
+            } else {
+                walk(value, index + 1, path);
+            }
+        }
+    };
+
+    if (segments.length > 0) {
+        walk(target, 0, '');
+    }
+    return found;
+}
+
+/**
+ * Find string values for several patterns, each field at most once
+ * @param {object} target - Object to search
+ * @param {string[]} patterns - Path patterns
+ * @returns {Array<{parent: object, key: string|number, path: string, value: string}>}
+ */
+function collectStringFields(target, patterns = []) {
+    const seen = new Set();
+    const fields = [];
+
+    for (const pattern of patterns) {
+        for (const field of findStringFields(target, pattern)) {
+            if (!seen.has(field.path)) {
+                seen.add(field.path);
+                fields.push(field);
+            }
+        }
+    }
+    return fields;
+}
+
+export { findStringFields, collectStringFields };
@@ -0,0 +1,100 @@
+/**
+ * SENTINEL V1.1 - Offset Tracking
+ *
+ * Maps positions in rewritten text (after removals, escapes, redactions or
+ * Unicode folding) back to the text it was derived from, so findings can
+ * report offsets in the caller's original string.
+ *
+ * An offset map has one entry per UTF-16 unit of the rewritten text, giving
+ * the index it came from, plus a final entry for the end of the text. `null`
+ * stands for an unchanged text.
+ */
+
+/**
+ * Map of a text after non-overlapping replacements
+ * @param {number[]|null} offsets - Map of the text before the replacements
+ * @param {number} length - Length of the text before the replacements
+ * @param {Array<{start: number, end: number, replacement: string}>} edits - Replacements, sorted by start
+ * @returns {number[]|null} Map of the text after the replacements
+ */
+function applyEdits(offsets, length, edits) {
+    if (edits.length === 0) return offsets;
+
+    const source = i => (offsets ? offsets[i] : i);
+    const next = [];
+    let position = 0;
+
+    for (const edit of edits) {
+        for (let i = position; i < edit.start; i++) next.push(source(i));
+        // Replacement text points at the start of what it replaced
+        for (let i = 0; i < edit.replacement.length; i++) next.push(source(edit.start));
+        position = edit.end;
+    }
+    for (let i = position; i <= length; i++) next.push(source(i));
+
+    return next;
+}
+
+/**
+ * String.replace() that also returns the offset map of the result
+ * @param {string} text - Text
+ * @param {number[]|null} offsets - Map of `text`
+ * @param {RegExp} pattern - Pattern, as for String.replace()
+ * @param {function} replacer - Replacement function, as for String.replace()
+ * @returns {{text: string, offsets: number[]|null, edits: Array<{start: number, end: number, replacement: string}>}}
+ */
+function replaceTracked(text, offsets, pattern, replacer) {
+    const edits = [];
+    const output = text.replace(pattern, (...args) => {
+        const match = args[0];
+        // Arguments are (match, ...groups, offset, string[, namedGroups])
+        const offsetIndex = typeof args[args.length - 1] === 'object' ? args.length - 3 : args.length - 2;
+        const replacement = replacer(...args);
+        if (replacement !== match) {
+            edits.push({ start: args[offsetIndex], end: args[offsetIndex] + match.length, replacement });
+        }
+        return replacement;
+    });
+
+    return { text: output, offsets: applyEdits(offsets, text.length, edits), edits };
+}
+
+/**
+ * Chain two maps: `inner` maps a derived text to `text`, `offsets` maps
+ * `text` to the original
+ * @param {number[]|null} offsets - Map of the intermediate text
+ * @param {number[]|null} inner - Map of the derived text into the intermediate text
+ * @returns {number[]|null}
+ */
+function composeOffsets(offsets, inner) {
+    if (!inner) return offsets;
+    if (!offsets) return inner;
+    return inner.map(i => offsets[i]);
+}
+
+/**
+ * Span in the original text covering text[start, end)
+ * @param {number[]|null} offsets - Map of the text
+ * @param {number} start - Start in the text
+ * @param {number} end - End in the text
+ * @returns {{start: number, end: number}}
+ */
+function toSourceSpan(offsets, start, end) {
+    if (!offsets) return { start, end };
+
+    const sourceStart = offsets[start];
+    if (end <= start) return { start: sourceStart, end: sourceStart };
+
+    // End just after the source unit behind the last matched unit
+    const last = offsets[end - 1];
+    let sourceEnd = offsets[offsets.length - 1];
+    for (let i = end; i < offsets.length; i++) {
+        if (offsets[i] > last) {
+            sourceEnd = offsets[i];
+            break;
+        }
+    }
+    return { start: sourceStart, end: Math.max(sourceEnd, sourceStart) };
+}
+
+export { applyEdits, replaceTracked, composeOffsets, toSourceSpan };
@@ -0,0 +1,223 @@
+/**
+ * SENTINEL V1.1 - Rate Limiter
+ *
+ * Per-key request limiting (user id, IP, session) with a pluggable store.
+ *
+ * Store contract (all methods may be async):
+ *   get(key)               -> state object or null/undefined
+ *   set(key, state, ttlMs) -> stores a JSON-serializable state object
+ *   delete(key)            -> removes the state
+ *   consume(key, request)  -> optional; counts one request atomically, see
+ *                             RateLimiter.consume() for `request` and the result
+ *
+ * Without consume() the limiter does a read-modify-write with get() and set(),
+ * one request per key at a time. That is exact within a process; stores
+ * shared by several processes (e.g. Redis) need consume() to stay exact.
+ */
+
+/**
+ * Bucket of `limit` tokens refilled continuously over `windowMs`
+ */
+function tokenBucket(state, limit, windowMs, now) {
+    const rate = limit / windowMs;
+    const elapsed = state ? Math.max(0, now - state.updatedAt) : 0;
+    let tokens = state ? Math.min(limit, state.tokens + elapsed * rate) : limit;
+
+    const allowed = tokens >= 1;
+    if (allowed) tokens -= 1;
+
+    return {
+        allowed,
+        state: { tokens, updatedAt: now },
+        remaining: Math.floor(tokens),
+        resetAt: now + Math.ceil((limit - tokens) / rate),
+        retryAfter: Math.ceil((1 - tokens) / rate)
+    };
+}
+
+/**
+ * Sliding window approximated from the current and previous fixed windows
+ */
+function slidingWindow(state, limit, windowMs, now) {
+    const windowStart = now - (now % windowMs);
+    let current = 0;
+    let previous = 0;
+
+    if (state) {
+        if (state.windowStart === windowStart) {
+            current = state.current;
+            previous = state.previous;
+        } else if (state.windowStart === windowStart - windowMs) {
+            previous = state.current;
+        }
+    }
+
+    const weight = 1 - (now - windowStart) / windowMs;
+    const count = previous * weight + current;
+    const allowed = count < limit;
+    if (allowed) current += 1;
+
+    return {
+        allowed,
+        state: { windowStart, current, previous },
+        remaining: Math.max(0, Math.floor(limit - (previous * weight + current))),
+        resetAt: windowStart + windowMs,
+        retryAfter: windowStart + windowMs - now
+    };
+}
+
+const STRATEGIES = {
+    'token-bucket': tokenBucket,
+    'sliding-window': slidingWindow
+};
+
+/**
+ * Default in-process store with lazy expiry
+ */
+class MemoryRateLimitStore {
+    constructor() {
+        this.entries = new Map();
+        this.sweepEvery = 1000;
+        this.writes = 0;
+    }
+
+    async get(key) {
+        return this._read(key);
+    }
+
+    async set(key, state, ttlMs) {
+        this._write(key, state, ttlMs);
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * Count a request. The state is read and written synchronously, so
+     * concurrent calls cannot interleave.
+     */
+    async consume(key, { strategy, limit, windowMs, now, ttlMs }) {
+        const outcome = STRATEGIES[strategy](this._read(key), limit, windowMs, now);
+        this._write(key, outcome.state, ttlMs);
+        return outcome;
+    }
+
+    _read(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry.state;
+    }
+
+    _write(key, state, ttlMs) {
+        this.entries.set(key, { state, expiresAt: Date.now() + ttlMs });
+
+        // Drop expired keys now and then so idle clients don't accumulate
+        if (++this.writes % this.sweepEvery === 0) {
+            const now = Date.now();
+            for (const [k, entry] of this.entries) {
+                if (entry.expiresAt <= now) this.entries.delete(k);
+            }
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+class RateLimiter {
+    /**
+     * @param {SentinelConfig} config - Reads rateLimit, rateLimitWindowMs, rateLimitStrategy, rateLimitStore
+     */
+    constructor(config) {
+        this.config = config;
+        this.store = config?.get?.('rateLimitStore') || new MemoryRateLimitStore();
+        this.prefix = 'sentinel:ratelimit:';
+
+        // Store key -> tail of the queue of get()/set() updates for that key
+        this.pending = new Map();
+    }
+
+    /**
+     * Consume one request for a key. Stores with consume() are handed
+     * `{ strategy, limit, windowMs, now, ttlMs }` and return the strategy
+     * outcome `{ allowed, remaining, resetAt, retryAfter }`; other stores are
+     * updated through get() and set(), one request per key at a time.
+     * @param {string} key - Client identifier
+     * @param {number} now - Current time in ms (for tests)
+     * @returns {Promise<object>} { allowed, key, limit, remaining, resetAt, retryAfter, strategy }
+     */
+    async consume(key, now = Date.now()) {
+        const limit = this.config.get('rateLimit', 100);
+        const windowMs = this.config.get('rateLimitWindowMs', 60000);
+        const strategy = this.config.get('rateLimitStrategy', 'token-bucket');
+
+        if (!STRATEGIES[strategy]) {
+            throw new Error(`Unknown rate limit strategy: ${strategy}. Available: ${Object.keys(STRATEGIES).join(', ')}`);
+        }
+
+        const storeKey = this.prefix + key;
+        const request = { strategy, limit, windowMs, now, ttlMs: windowMs * 2 };
+        const outcome = typeof this.store.consume === 'function'
+            ? await this.store.consume(storeKey, request)
+            : await this._serialize(storeKey, () => this._readModifyWrite(storeKey, request));
+
+        return {
+            allowed: outcome.allowed,
+            key,
+            limit,
+            remaining: outcome.remaining,
+            resetAt: outcome.resetAt,
+            retryAfter: outcome.allowed ? 0 : Math.max(0, outcome.retryAfter),
+            strategy
+        };
+    }
+
+    /**
+     * Use a new configuration. Counters are kept unless rateLimitStore changes.
+     * @param {SentinelConfig} config - New configuration
+     */
+    updateConfig(config) {
+        const store = config?.get?.('rateLimitStore') || null;
+        if (store !== (this.config?.get?.('rateLimitStore') || null)) {
+            this.store = store || new MemoryRateLimitStore();
+        }
+        this.config = config;
+    }
+
+    /**
+     * Forget a key's history
+     * @param {string} key - Client identifier
+     */
+    async reset(key) {
+        await this.store.delete(this.prefix + key);
+    }
+
+    async _readModifyWrite(storeKey, { strategy, limit, windowMs, now, ttlMs }) {
+        const outcome = STRATEGIES[strategy](await this.store.get(storeKey), limit, windowMs, now);
+        await this.store.set(storeKey, outcome.state, ttlMs);
+        return outcome;
+    }
+
+    /**
+     * Run a task after the earlier tasks for the same key have settled
+     */
+    _serialize(storeKey, task) {
+        const previous = this.pending.get(storeKey) || Promise.resolve();
+        const result = previous.then(task);
+        const tail = result.catch(() => {});
+        this.pending.set(storeKey, tail);
+        tail.then(() => {
+            if (this.pending.get(storeKey) === tail) this.pending.delete(storeKey);
+        });
+        return result;
+    }
+}
+
+export { RateLimiter, MemoryRateLimitStore };
+export default RateLimiter;
@@ -4,6 +4,11 @@
  * Centralized logging for security events, threats, and audit trail.
  */
 
+import { formatLogEntry, formatters } from './log-formatters.js';
+import { FileSink, RemoteSink } from './log-sinks.js';
+import { AuditLog } from './audit-log.js';
+import { LogPrivacy } from './log-privacy.js';
+
 // Polyfill fetch for Node.js < 18
 let fetch;
 if (typeof globalThis.fetch === 'undefined') {
@@ -18,11 +23,50 @@ if (typeof globalThis.fetch === 'undefined') {
     fetch = globalThis.fetch;
 }
 
+/**
+ * Whether Node.js built-ins such as fs are available. Browsers define
+ * `window`; Vercel/Next.js edge functions define `EdgeRuntime`.
+ */
+function isNodeRuntime() {
+    return typeof window === 'undefined' &&
+        typeof globalThis.EdgeRuntime === 'undefined' &&
+        typeof process !== 'undefined' &&
+        Boolean(process.versions?.node);
+}
+
+// Settings the built-in destinations are created from; changing one recreates them
+const SINK_KEYS = [
+    'logDestination', 'logDestinations', 'logFormat', 'logFilePath', 'logMaxSize', 'logMaxFiles', 'logRotateIntervalMs',
+    'remoteLogEndpoint', 'remoteLogBatchSize', 'remoteLogFlushIntervalMs',
+    'remoteLogMaxRetries', 'remoteLogRetryDelayMs', 'remoteLogSpoolPath'
+];
+
+// Settings the privacy mode is built from
+const PRIVACY_KEYS = ['logPrivacy', 'logPrivacySalt', 'logExcerptLength'];
+
 class ThreatLogger {
-    constructor(config) {
+    /**
+     * @param {SentinelConfig} config - Configuration
+     * @param {object} options
+     * @param {function} options.findSpans - (text) => [{ start, end, type }], masks PII/secrets in privacy-mode excerpts
+     */
+    constructor(config, options = {}) {
         this.config = config;
+        this.findSpans = options.findSpans ?? null;
         this.logBuffer = [];
         this.bufferSize = 100;
+
+        // Built on first use from logDestinations, see _getDestinations()
+        this.destinations = null;
+
+        // Custom transports, see addTransport()
+        this.transports = new Map();
+
+        // Hash-chained audit file, see _getAuditLog()
+        this.auditLog = null;
+
+        // Set when logPrivacy is on, see scrub()
+        this.privacy = null;
         
         // Log levels
         this.levels = {
@@ -54,6 +98,12 @@ class ThreatLogger {
                 type: threat.type,
                 severity: threat.severity,
                 details: threat.details,
+                signatureId: threat.signatureId,
+                action: threat.action,
+                start: threat.start,
+                end: threat.end,
+                excerpt: threat.excerpt,
+                rationale: threat.rationale,
                 sessionId: result.sessionId,
                 timestamp: new Date().toISOString()
             });
@@ -63,7 +113,7 @@ class ThreatLogger {
         const callback = this.config.get('onThreatDetected');
         if (callback && typeof callback === 'function') {
             try {
-                await callback(result);
+                await callback(this.scrub(result));
             } catch (e) {
                 this._log('error', 'CALLBACK_ERROR', { error: e.message });
             }
@@ -79,6 +129,7 @@ class ThreatLogger {
 
         await this._log('error', 'BLOCKED', {
             reason: result.blockReason,
+            riskScore: result.riskScore,
             threats: result.threats?.length || 0,
             sessionId: result.sessionId,
             timestamp: new Date().toISOString()
@@ -88,13 +139,29 @@ class ThreatLogger {
         const callback = this.config.get('onBlocked');
         if (callback && typeof callback === 'function') {
             try {
-                await callback(result);
+                await callback(this.scrub(result));
             } catch (e) {
                 this._log('error', 'CALLBACK_ERROR', { error: e.message });
             }
         }
     }
 
+    /**
+     * Log rate-limited request
+     * @param {object} result - Result with rateLimit information
+     */
+    async logRateLimited(result) {
+        if (!this.config.get('enableLogging', true)) return;
+
+        await this._log('warn', 'RATE_LIMITED', {
+            key: result.rateLimit?.key,
+            limit: result.rateLimit?.limit,
+            retryAfter: result.rateLimit?.retryAfter,
+            sessionId: result.sessionId,
+            timestamp: new Date().toISOString()
+        });
+    }
+
     /**
      * Log error
      * @param {Error} error - Error object
@@ -114,7 +181,7 @@ class ThreatLogger {
         const callback = this.config.get('onError');
         if (callback && typeof callback === 'function') {
             try {
-                await callback(error, context);
+                await callback(error, this.scrub(context));
             } catch (e) {
                 console.error('Error callback failed:', e);
             }
@@ -141,14 +208,14 @@ class ThreatLogger {
      * @param {object} details - Action details
      */
     async audit(action, details = {}) {
-        const auditEntry = {
+        const auditEntry = this.scrub({
             action: action,
             ...details,
             timestamp: new Date().toISOString(),
             environment: this.config.get('environment', 'unknown')
-        };
+        });
 
-        await this._log('info', 'AUDIT', auditEntry);
+        await this._log('info', 'AUDIT', auditEntry, { scrubbed: true });
         
         // Always keep audit in buffer regardless of log level
         this._addToBuffer({
@@ -156,6 +223,30 @@ class ThreatLogger {
             category: 'AUDIT',
             data: auditEntry
         });
+
+        const auditLog = this._getAuditLog();
+        if (auditLog) {
+            try {
+                await auditLog.append(auditEntry);
+            } catch (error) {
+                console.error('Failed to write audit log:', error);
+            }
+        }
+    }
+
+    /**
+     * Audit trail file when auditLogPath is set (Node.js only)
+     */
+    _getAuditLog() {
+        const path = this.config.get('auditLogPath', null);
+        if (!path || !isNodeRuntime()) {
+            return null;
+        }
+
+        if (!this.auditLog) {
+            this.auditLog = new AuditLog({ path, hmacKey: this.config.get('auditHmacKey', null) });
+        }
+        return this.auditLog;
     }
 
     /**
@@ -189,46 +280,142 @@ class ThreatLogger {
     }
 
     /**
-     * Internal log method
+     * Internal log method. The entry goes to every destination whose level
+     * and categories accept it. Pass `scrubbed` when data already went
+     * through scrub().
      */
-    async _log(level, category, data) {
-        const configLevel = this.config.get('logLevel', 'info');
-        
-        // Check if this level should be logged
-        if (this.levels[level] < this.levels[configLevel]) {
-            return;
-        }
-
+    async _log(level, category, data, { scrubbed = false } = {}) {
         const logEntry = {
             level,
             category,
-            data,
+            data: scrubbed ? data : this.scrub(data),
             timestamp: new Date().toISOString()
         };
 
-        const destination = this.config.get('logDestination', 'console');
+        const buffered = this.levels[level] >= this.levels[this.config.get('logLevel', 'info')];
+        const destinations = this._getDestinations().filter(destination => this._accepts(destination, logEntry));
+        if (!buffered && destinations.length === 0) {
+            return;
+        }
+
+        // Render each format once, however many destinations use it.
+        // 'default' keeps colored console text and raw JSON entries elsewhere.
+        const lines = new Map();
+        const render = (format) => {
+            if (format === 'default') return null;
+            if (!lines.has(format)) {
+                lines.set(format, this._format(logEntry, format));
+            }
+            return lines.get(format);
+        };
+
+        await Promise.all(destinations.map(destination =>
+            this._write(destination, logEntry, render(destination.format ?? this.config.get('logFormat', 'default')))
+        ));
+
+        if (buffered) {
+            this._addToBuffer(logEntry);
+        }
+    }
+
+    /**
+     * Render an entry with a log format
+     */
+    _format(entry, format) {
+        return formatLogEntry(entry, format, {
+            environment: this.config.get('environment', 'production'),
+            facility: this.config.get('syslogFacility', 16)
+        });
+    }
+
+    /**
+     * Copy of a log entry, callback argument or event payload with raw text
+     * replaced by salted hashes and redacted excerpts when logPrivacy is on.
+     * Returns the value unchanged otherwise.
+     * @param {*} value - Value to make safe
+     * @returns {*}
+     */
+    scrub(value) {
+        if (!this.config.get('logPrivacy', false)) {
+            return value;
+        }
+
+        if (!this.privacy) {
+            this.privacy = new LogPrivacy({
+                salt: this.config.get('logPrivacySalt', null),
+                excerptLength: this.config.get('logExcerptLength', 24),
+                findSpans: this.findSpans
+            });
+        }
+        return this.privacy.scrub(value);
+    }
+
+    /**
+     * Whether a destination takes an entry, by level and category
+     */
+    _accepts(destination, entry) {
+        const threshold = destination.level ?? this.config.get('logLevel', 'info');
+        if (this.levels[entry.level] < this.levels[threshold]) {
+            return false;
+        }
+        return !destination.categories || destination.categories.includes(entry.category);
+    }
+
+    async _write(destination, entry, line) {
+        try {
+            await destination.transport.log(entry, line);
+        } catch (error) {
+            console.error(`SENTINEL log destination "${destination.name}" failed:`, error);
+        }
+    }
 
-        switch (destination) {
-            case 'console':
-                this._logToConsole(logEntry);
-                break;
-            case 'file':
-                await this._logToFile(logEntry);
-                break;
-            case 'remote':
-                await this._logToRemote(logEntry);
-                break;
-            default:
-                this._logToConsole(logEntry);
+    /**
+     * Destinations from logDestinations (or the single logDestination),
+     * followed by transports added with addTransport()
+     */
+    _getDestinations() {
+        if (!this.destinations) {
+            const specs = this.config.get('logDestinations', []);
+            const list = specs.length > 0 ? specs : [{ type: this.config.get('logDestination', 'console') }];
+
+            this.destinations = list.map((spec, i) => ({
+                name: spec.name ?? `${spec.type}:${i}`,
+                level: spec.level ?? null,
+                format: spec.format ?? null,
+                categories: spec.categories ?? null,
+                transport: this._createTransport(spec)
+            }));
         }
+        return [...this.destinations, ...this.transports.values()];
+    }
 
-        this._addToBuffer(logEntry);
+    /**
+     * Built-in transport for a destination entry
+     * @param {object} spec - { type, ...sink options }
+     * @returns {object} { log(entry, line), flush(), close() }
+     */
+    _createTransport(spec) {
+        const consoleTransport = { log: (entry, line) => this._logToConsole(entry, line) };
+
+        if (spec.type === 'file') {
+            // In browser and edge runtimes (no Node.js fs), fall back to console
+            return isNodeRuntime() ? this._createFileTransport(spec) : consoleTransport;
+        }
+        if (spec.type === 'remote') {
+            return this._createRemoteTransport(spec) ?? consoleTransport;
+        }
+        return consoleTransport;
     }
 
     /**
      * Log to console with formatting
      */
-    _logToConsole(entry) {
+    _logToConsole(entry, line = null) {
+        if (line) {
+            console.log(line);
+            return;
+        }
+
         const prefix = `[SENTINEL ${entry.level.toUpperCase()}]`;
         const timestamp = entry.timestamp;
         const category = entry.category;
@@ -258,58 +445,67 @@ class ThreatLogger {
     }
 
     /**
-     * Log to file
+     * Log to a rotating file
      */
-    async _logToFile(entry) {
-        const filePath = this.config.get('logFilePath', './sentinel.log');
-        const line = JSON.stringify(entry) + '\n';
-        
-        // In browser environment, fall back to console
-        if (typeof window !== 'undefined') {
-            this._logToConsole(entry);
-            return;
-        }
+    _createFileTransport(spec) {
+        const sink = new FileSink({
+            path: spec.path ?? this.config.get('logFilePath', './sentinel.log'),
+            maxSize: spec.maxSize ?? this.config.get('logMaxSize', 10485760),
+            maxFiles: spec.maxFiles ?? this.config.get('logMaxFiles', 5),
+            rotateIntervalMs: spec.rotateIntervalMs ?? this.config.get('logRotateIntervalMs', 0)
+        });
 
-        try {
-            const fs = await import('fs/promises');
-            await fs.appendFile(filePath, line);
-        } catch (error) {
-            console.error('Failed to write to log file:', error);
-            this._logToConsole(entry);
-        }
+        return {
+            log: async (entry, line) => {
+                try {
+                    await sink.write(line ?? JSON.stringify(entry));
+                } catch (error) {
+                    console.error('Failed to write to log file:', error);
+                    this._logToConsole(entry, line);
+                }
+            },
+            flush: () => sink.flush(),
+            close: () => sink.close()
+        };
     }
 
     /**
-     * Log to remote endpoint
+     * Log to remote endpoint. Entries are queued and sent in batches, so
+     * log() does not wait for the request. Returns null if remote logging
+     * is unavailable.
      */
-    async _logToRemote(entry) {
-        const endpoint = this.config.get('remoteLogEndpoint');
+    _createRemoteTransport(spec) {
+        const endpoint = spec.endpoint ?? this.config.get('remoteLogEndpoint');
 
         if (!endpoint) {
             console.warn('Remote logging enabled but no endpoint configured');
-            this._logToConsole(entry);
-            return;
+            return null;
         }
 
         if (!fetch) {
             console.warn('Fetch API not available. Install node-fetch or upgrade to Node.js >= 18');
-            this._logToConsole(entry);
-            return;
+            return null;
         }
 
-        try {
-            await fetch(endpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Sentinel-Version': '1.0'
-                },
-                body: JSON.stringify(entry)
-            });
-        } catch (error) {
-            console.error('Failed to send to remote log:', error);
-            this._logToConsole(entry);
-        }
+        const format = spec.format ?? this.config.get('logFormat', 'default');
+        const sink = new RemoteSink({
+            endpoint,
+            fetch,
+            contentType: format === 'cef' || format === 'syslog' ? 'text/plain' : 'application/json',
+            batchSize: spec.batchSize ?? this.config.get('remoteLogBatchSize', 50),
+            flushIntervalMs: spec.flushIntervalMs ?? this.config.get('remoteLogFlushIntervalMs', 1000),
+            maxRetries: spec.maxRetries ?? this.config.get('remoteLogMaxRetries', 3),
+            retryDelayMs: spec.retryDelayMs ?? this.config.get('remoteLogRetryDelayMs', 500),
+            // Spooling needs fs; elsewhere undelivered entries go to the console
+            spoolPath: isNodeRuntime() ? spec.spoolPath ?? this.config.get('remoteLogSpoolPath', null) : null,
+            onDrop: lines => lines.forEach(line => console.log(line))
+        });
+
+        return {
+            log: (entry, line) => sink.write(line ?? JSON.stringify(entry)),
+            flush: () => sink.flush(),
+            close: () => sink.close()
+        };
     }
 
     /**
@@ -374,6 +570,102 @@ class ThreatLogger {
     exportLogs() {
         return JSON.stringify(this.logBuffer, null, 2);
     }
+
+    /**
+     * Send entries to a custom transport as well as the configured destinations
+     * @param {string} name - Transport name, for removeTransport()
+     * @param {object} transport - { log(entry, line), flush(), close() }; flush and close are optional.
+     *   `line` is the entry rendered in the transport's format, or null for 'default'
+     * @param {object} options - { level, format, categories }; defaults to logLevel, logFormat and every category
+     * @returns {this}
+     */
+    addTransport(name, transport, options = {}) {
+        if (!transport || typeof transport.log !== 'function') {
+            throw new Error('Log transport must have a log(entry, line) method');
+        }
+        if (this.transports.has(name)) {
+            throw new Error(`Log transport "${name}" is already registered`);
+        }
+        if (options.level && !(options.level in this.levels)) {
+            throw new Error(`Unknown log level: ${options.level}. Available: ${Object.keys(this.levels).join(', ')}`);
+        }
+        if (options.format && options.format !== 'default' && !formatters[options.format]) {
+            throw new Error(`Unknown log format: ${options.format}. Available: default, ${Object.keys(formatters).join(', ')}`);
+        }
+
+        this.transports.set(name, {
+            name,
+            level: options.level ?? null,
+            format: options.format ?? null,
+            categories: options.categories ?? null,
+            transport
+        });
+        return this;
+    }
+
+    /**
+     * Stop sending entries to a custom transport. The transport is not closed.
+     * @param {string} name - Name passed to addTransport()
+     * @returns {boolean} Whether a transport was removed
+     */
+    removeTransport(name) {
+        return this.transports.delete(name);
+    }
+
+    /**
+     * Wait for pending file writes and send queued remote entries
+     */
+    async flush() {
+        const destinations = [...(this.destinations || []), ...this.transports.values()];
+        await Promise.all(destinations.map(destination => destination.transport.flush?.()));
+    }
+
+    /**
+     * Flush and close every destination, including custom transports. Call
+     * before the process exits so batched remote entries are not lost;
+     * entries logged after close() reopen the configured destinations.
+     */
+    async close() {
+        const auditLog = this.auditLog;
+        this.auditLog = null;
+
+        await Promise.all([
+            auditLog?.close(),
+            this._closeDestinations(),
+            ...[...this.transports.values()].map(destination => destination.transport.close?.())
+        ]);
+    }
+
+    /**
+     * Close the configured destinations; they are rebuilt on the next entry
+     */
+    async _closeDestinations() {
+        const destinations = this.destinations || [];
+        this.destinations = null;
+        await Promise.all(destinations.map(destination => destination.transport.close?.()));
+    }
+
+    updateConfig(config) {
+        const previous = this.config;
+        const changed = SINK_KEYS.some(key => config.get(key) !== previous.get(key));
+        this.config = config;
+
+        if (changed) {
+            this._closeDestinations().catch(error => console.error('Failed to close log destinations:', error));
+        }
+
+        if (PRIVACY_KEYS.some(key => config.get(key) !== previous.get(key))) {
+            this.privacy = null;
+        }
+
+        // Pending appends finish on the old instance; the next one reads the chain head from the file
+        if (config.get('auditLogPath') !== previous.get('auditLogPath') ||
+            config.get('auditHmacKey') !== previous.get('auditHmacKey')) {
+            const auditLog = this.auditLog;
+            this.auditLog = null;
+            auditLog?.close().catch(error => this.logError(error, { stage: 'auditLog' }));
+        }
+    }
 }
 
 export { ThreatLogger };
@@ -0,0 +1,104 @@
+/**
+ * SENTINEL V1.1 - Tracing
+ *
+ * Optional OpenTelemetry spans around the protection layers. The OTel API is
+ * used only if @opentelemetry/api is installed (or a tracer is passed in
+ * config); otherwise the helpers just run the wrapped function.
+ */
+
+let otel;
+try {
+    otel = await import('@opentelemetry/api');
+} catch (e) {
+    // @opentelemetry/api not installed, spans are only created for a configured tracer
+    otel = null;
+}
+
+const TRACER_NAME = '@neura-help/sentinel-community';
+
+// SpanStatusCode.ERROR, for tracers passed in config without the API installed
+const STATUS_ERROR = 2;
+
+/**
+ * Tracer to use for a configuration, or null when tracing is off
+ * @param {SentinelConfig} config - Reads enableTracing and tracer
+ * @returns {object|null}
+ */
+function getTracer(config) {
+    if (!(config?.get?.('enableTracing', true) ?? true)) return null;
+
+    const tracer = config?.get?.('tracer', null);
+    if (tracer) return tracer;
+
+    return otel ? otel.trace.getTracer(TRACER_NAME) : null;
+}
+
+/**
+ * Run an async function inside an active span
+ * @param {SentinelConfig} config - Configuration
+ * @param {string} name - Span name
+ * @param {object} attributes - Initial span attributes
+ * @param {function} fn - (span|null) => Promise
+ * @returns {Promise<*>} The function's result
+ */
+async function withSpan(config, name, attributes, fn) {
+    const tracer = getTracer(config);
+    if (!tracer) return fn(null);
+
+    return tracer.startActiveSpan(name, { attributes: clean(attributes) }, async (span) => {
+        try {
+            return await fn(span);
+        } catch (error) {
+            recordError(span, error);
+            throw error;
+        } finally {
+            span.end();
+        }
+    });
+}
+
+/**
+ * Run a synchronous function inside an active span
+ * @param {SentinelConfig} config - Configuration
+ * @param {string} name - Span name
+ * @param {object} attributes - Initial span attributes
+ * @param {function} fn - (span|null) => value
+ * @returns {*} The function's result
+ */
+function withSpanSync(config, name, attributes, fn) {
+    const tracer = getTracer(config);
+    if (!tracer) return fn(null);
+
+    return tracer.startActiveSpan(name, { attributes: clean(attributes) }, (span) => {
+        try {
+            return fn(span);
+        } catch (error) {
+            recordError(span, error);
+            throw error;
+        } finally {
+            span.end();
+        }
+    });
+}
+
+/**
+ * Set attributes on a span, skipping undefined values. No-op without a span.
+ * @param {object|null} span - Span from withSpan()
+ * @param {object} attributes - Attributes
+ */
+function setAttributes(span, attributes) {
+    if (span) {
+        span.setAttributes(clean(attributes));
+    }
+}
+
+function recordError(span, error) {
+    span.recordException(error);
+    span.setStatus({ code: otel?.SpanStatusCode?.ERROR ?? STATUS_ERROR, message: error.message });
+}
+
+function clean(attributes = {}) {
+    return Object.fromEntries(Object.entries(attributes).filter(([, value]) => value !== undefined && value !== null));
+}
+
+export { withSpan, withSpanSync, setAttributes, getTracer, TRACER_NAME };
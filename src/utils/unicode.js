@@ -0,0 +1,101 @@
+/**
+ * SENTINEL V1.1 - Unicode Folding
+ *
+ * Produces a detection copy of user input in which compatibility forms
+ * (fullwidth, math alphanumerics), combining marks and common cross-script
+ * lookalikes are folded to their ASCII counterparts, so that e.g. a Cyrillic
+ * "і" in "іgnore previous instructions" cannot hide an injection phrase.
+ */
+
+// Cyrillic, Greek and other letters that render like Latin ones, as
+// [lookalikes, Latin replacements] pairs of equal length
+const CONFUSABLE_PAIRS = [
+    ['авекмнорстухіїјѕԁһӏԛԝүɡ', 'abekmhopctyxiijsdhlqwyg'], // Cyrillic lowercase
+    ['АВЕКМНОРСТУХІЈЅԀҺӀԚԜҮ', 'ABEKMHOPCTYXIJSDHIQWY'], // Cyrillic uppercase
+    ['αβγεικνορτυχω', 'abyeikvoptuxw'], // Greek lowercase
+    ['ΑΒΕΖΗΙΚΜΝΟΡΤΥΧ', 'ABEZHIKMNOPTYX'], // Greek uppercase
+    ['ıȷɑɩʟᴅ', 'ijailD'] // Latin lookalikes outside ASCII
+];
+
+const CONFUSABLES = {};
+for (const [from, to] of CONFUSABLE_PAIRS) {
+    [...from].forEach((char, i) => { CONFUSABLES[char] = to[i]; });
+}
+
+const COMBINING_MARK = /\p{M}/u;
+const MAX_SAMPLES = 10;
+
+/**
+ * Fold text for signature matching
+ * @param {string} text - Input text
+ * @returns {{text: string, changed: boolean, compatibility: number, combiningMarks: number, confusables: number, samples: Array<{from: string, to: string}>, offsets: number[]|null}}
+ *   `offsets` maps each unit of the folded text to its index in `text` (see utils/offsets.js), null if unchanged
+ */
+function foldForDetection(text) {
+    const report = {
+        text: '',
+        changed: false,
+        compatibility: 0,
+        combiningMarks: 0,
+        confusables: 0,
+        samples: [],
+        offsets: null
+    };
+
+    const addSample = (from, to) => {
+        if (report.samples.length < MAX_SAMPLES && !report.samples.some(s => s.from === from)) {
+            report.samples.push({ from, to });
+        }
+    };
+
+    let folded = '';
+    const offsets = [];
+    let index = 0;
+    for (const char of text) {
+        let out = char;
+
+        const compatible = out.normalize('NFKC');
+        if (compatible !== out) {
+            report.compatibility++;
+            out = compatible;
+        }
+
+        // Decompose so accents on base letters become separate marks, then drop them
+        let stripped = '';
+        for (const part of out.normalize('NFD')) {
+            if (COMBINING_MARK.test(part)) {
+                report.combiningMarks++;
+            } else {
+                stripped += part;
+            }
+        }
+        out = stripped;
+
+        let mapped = '';
+        for (const part of out) {
+            if (CONFUSABLES[part]) {
+                report.confusables++;
+                mapped += CONFUSABLES[part];
+            } else {
+                mapped += part;
+            }
+        }
+        out = mapped;
+
+        if (out !== char) {
+            addSample(char, out);
+        }
+        folded += out;
+        for (let i = 0; i < out.length; i++) offsets.push(index);
+        index += char.length;
+    }
+    offsets.push(text.length);
+
+    report.text = folded;
+    report.changed = folded !== text;
+    report.offsets = report.changed ? offsets : null;
+    return report;
+}
+
+export { foldForDetection, CONFUSABLES };
+export default foldForDetection;
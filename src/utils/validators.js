@@ -0,0 +1,85 @@
+/**
+ * SENTINEL V1.1 - Checksum Validators
+ *
+ * Structural checks used by output filter detectors to tell real
+ * identifiers apart from digit runs that merely look like them.
+ */
+
+/**
+ * Luhn (mod 10) check used by payment card numbers
+ * @param {string} value - Candidate card number, separators allowed
+ * @returns {boolean} Whether the checksum is valid
+ */
+function luhn(value) {
+    const digits = String(value).replace(/[\s-]/g, '');
+    if (!/^\d{12,19}$/.test(digits)) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * SSA structural rules for US Social Security Numbers
+ * @param {string} value - Candidate SSN, separators allowed
+ * @returns {boolean} Whether the number could have been issued
+ */
+function ssn(value) {
+    const digits = String(value).replace(/[\s-]/g, '');
+    if (!/^\d{9}$/.test(digits)) return false;
+
+    const area = Number(digits.slice(0, 3));
+    const group = Number(digits.slice(3, 5));
+    const serial = Number(digits.slice(5));
+
+    // Area 000, 666 and 900-999 are never assigned; group and serial cannot be zero
+    if (area === 0 || area === 666 || area >= 900) return false;
+    return group !== 0 && serial !== 0;
+}
+
+/**
+ * ISO 13616 IBAN mod-97 check
+ * @param {string} value - Candidate IBAN, spaces allowed
+ * @returns {boolean} Whether the checksum is valid
+ */
+function iban(value) {
+    const compact = String(value).replace(/\s/g, '').toUpperCase();
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(compact)) return false;
+
+    const rearranged = compact.slice(4) + compact.slice(0, 4);
+    let remainder = 0;
+    // Process one character at a time so the number never exceeds safe integers
+    for (const char of rearranged) {
+        const code = char >= 'A' ? String(char.charCodeAt(0) - 55) : char;
+        for (const digit of code) {
+            remainder = (remainder * 10 + Number(digit)) % 97;
+        }
+    }
+    return remainder === 1;
+}
+
+/**
+ * North American Numbering Plan rules for phone numbers
+ * @param {string} value - Candidate number, separators and +1 prefix allowed
+ * @returns {boolean} Whether the area code and exchange could be assigned
+ */
+function nanp(value) {
+    let digits = String(value).replace(/[\s().+-]/g, '');
+    if (digits.length === 11 && digits[0] === '1') digits = digits.slice(1);
+    if (!/^\d{10}$/.test(digits)) return false;
+
+    // Neither the area code nor the exchange can start with 0 or 1
+    return digits[0] >= '2' && digits[3] >= '2';
+}
+
+const validators = { luhn, ssn, iban, nanp };
+
+export { luhn, ssn, iban, nanp, validators };
+export default validators;
@@ -0,0 +1,133 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { AuditLog, verifyAuditLog, GENESIS_HASH } from '../src/utils/audit-log.js';
+import { SentinelConfig } from '../src/utils/config.js';
+import { ThreatLogger } from '../src/utils/threat-logger.js';
+
+describe('AuditLog', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sentinel-audit-'));
+        file = path.join(dir, 'audit.log');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const writeEntries = async (count, options = {}) => {
+        const log = new AuditLog({ path: file, ...options });
+        for (let i = 1; i <= count; i++) {
+            log.append({ action: `ACTION_${i}`, timestamp: '2026-01-01T00:00:00.000Z' });
+        }
+        await log.close();
+    };
+
+    const readLines = () => fs.readFileSync(file, 'utf8').trim().split('\n');
+    const writeLines = (lines) => fs.writeFileSync(file, lines.join('\n') + '\n');
+
+    test('chains each record to the one before it', async () => {
+        await writeEntries(3);
+
+        const records = readLines().map(line => JSON.parse(line));
+        expect(records.map(r => r.seq)).toEqual([1, 2, 3]);
+        expect(records[0].prevHash).toBe(GENESIS_HASH);
+        expect(records[1].prevHash).toBe(records[0].hash);
+        expect(records[2].prevHash).toBe(records[1].hash);
+        expect(await verifyAuditLog(file)).toEqual({ valid: true, entries: 3, lastHash: records[2].hash, errors: [] });
+    });
+
+    test('continues the chain of an existing file', async () => {
+        await writeEntries(2);
+        await writeEntries(1);
+
+        expect(readLines().map(line => JSON.parse(line).seq)).toEqual([1, 2, 3]);
+        expect((await verifyAuditLog(file)).valid).toBe(true);
+    });
+
+    test('detects modified records', async () => {
+        await writeEntries(3);
+        writeLines(readLines().map(line => line.replace('ACTION_2', 'ACTION_X')));
+
+        const { valid, errors } = await verifyAuditLog(file);
+        expect(valid).toBe(false);
+        expect(errors).toEqual([expect.objectContaining({ line: 2, seq: 2, code: 'hash_mismatch' })]);
+    });
+
+    test('detects deleted records', async () => {
+        await writeEntries(3);
+        const lines = readLines();
+        writeLines([lines[0], lines[2]]);
+
+        const { errors } = await verifyAuditLog(file);
+        expect(errors.map(e => e.code)).toEqual(['sequence_gap', 'chain_broken']);
+        expect(errors[0].message).toMatch(/Expected record 2 but found 3/);
+    });
+
+    test('detects reordered records', async () => {
+        await writeEntries(3);
+        const [first, second, third] = readLines();
+        writeLines([first, third, second]);
+
+        const { errors } = await verifyAuditLog(file);
+        expect(errors.map(e => [e.line, e.code])).toEqual([
+            [2, 'sequence_gap'], [2, 'chain_broken'],
+            [3, 'sequence_gap'], [3, 'chain_broken']
+        ]);
+    });
+
+    test('reports unreadable lines and refuses to append after them', async () => {
+        await writeEntries(1);
+        fs.appendFileSync(file, '{ truncated\n');
+
+        expect((await verifyAuditLog(file)).errors).toEqual([expect.objectContaining({ line: 2, code: 'invalid_record' })]);
+        await expect(new AuditLog({ path: file }).append({ action: 'X' })).rejects.toThrow(/unreadable record/);
+    });
+
+    describe('with an HMAC key', () => {
+        test('signs records and verifies the signatures', async () => {
+            await writeEntries(2, { hmacKey: 'secret' });
+
+            expect(JSON.parse(readLines()[0]).hmac).toMatch(/^[0-9a-f]{64}$/);
+            expect((await verifyAuditLog(file, { hmacKey: 'secret' })).valid).toBe(true);
+            expect((await verifyAuditLog(file, { hmacKey: 'other' })).errors.map(e => e.code))
+                .toEqual(['signature_mismatch', 'signature_mismatch']);
+        });
+
+        test('detects a chain recomputed without the key', async () => {
+            await writeEntries(1);
+
+            expect((await verifyAuditLog(file, { hmacKey: 'secret' })).errors)
+                .toEqual([expect.objectContaining({ code: 'missing_signature' })]);
+        });
+    });
+
+    test('ThreatLogger.audit() appends to auditLogPath', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const logger = new ThreatLogger(new SentinelConfig({ auditLogPath: file, auditHmacKey: 'secret' }));
+
+        await logger.audit('CONFIG_CHANGED', { changed: ['rateLimit'] });
+        await logger.audit('SENTINEL_CREATED', { preset: 'strict' });
+        await logger.close();
+
+        expect(readLines().map(line => JSON.parse(line).entry.action)).toEqual(['CONFIG_CHANGED', 'SENTINEL_CREATED']);
+        expect((await verifyAuditLog(file, { hmacKey: 'secret' })).valid).toBe(true);
+    });
+
+    test('ThreatLogger.updateConfig() reports failures closing the previous audit log', async () => {
+        const logger = new ThreatLogger(new SentinelConfig({ auditLogPath: file }));
+        const logError = jest.spyOn(logger, 'logError').mockResolvedValue();
+        const failure = new Error('disk gone');
+        logger.auditLog = { close: () => Promise.reject(failure) };
+
+        logger.updateConfig(new SentinelConfig({ auditLogPath: path.join(dir, 'other.log') }));
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(logError).toHaveBeenCalledWith(failure, { stage: 'auditLog' });
+        expect(logger.auditLog).toBeNull();
+    });
+});
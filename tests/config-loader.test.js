@@ -0,0 +1,131 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { SentinelConfig } from '../src/utils/config.js';
+import { envName, readEnv, parseFlatYaml } from '../src/utils/config-loader.js';
+
+describe('SentinelConfig.load()', () => {
+    let dir;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sentinel-config-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const write = (name, contents) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, contents);
+        return file;
+    };
+
+    test('merges defaults, preset, file, environment and options in that order', async () => {
+        const file = write('sentinel.json', JSON.stringify({ maxInputLength: 4000, logLevel: 'debug', rateLimit: 10 }));
+
+        const config = await SentinelConfig.load({
+            preset: 'strict',
+            file,
+            env: { SENTINEL_LOG_LEVEL: 'error', SENTINEL_RATE_LIMIT: '20' },
+            options: { rateLimit: 30 }
+        });
+
+        expect(config.get('heuristicBlockThreshold')).toBe(50);
+        expect(config.get('maxInputLength')).toBe(4000);
+        expect(config.get('logLevel')).toBe('error');
+        expect(config.get('rateLimit')).toBe(30);
+        expect(config.getSources()).toMatchObject({
+            enableLogging: 'default',
+            heuristicBlockThreshold: 'preset',
+            maxInputLength: 'file',
+            logLevel: 'env',
+            rateLimit: 'options'
+        });
+        expect(config.presetName).toBe('strict');
+        expect(config.configFile).toBe(file);
+    });
+
+    test('reads the file named by SENTINEL_CONFIG', async () => {
+        const file = write('sentinel.yaml', 'redactPII: false\n');
+
+        const config = await SentinelConfig.load({ env: { SENTINEL_CONFIG: file } });
+
+        expect(config.get('redactPII')).toBe(false);
+        expect(config.getSource('redactPII')).toBe('file');
+    });
+
+    test('reports invalid files with their path', async () => {
+        const file = write('broken.json', '{ nope');
+
+        await expect(SentinelConfig.load({ file, env: {} })).rejects.toThrow(`Invalid configuration file ${file}`);
+    });
+
+    test('strict mode rejects invalid values from any source', async () => {
+        await expect(SentinelConfig.load({ env: { SENTINEL_RATE_LIMIT: 'many' }, options: { strictConfig: true } }))
+            .rejects.toThrow(/rateLimit must be integer/);
+    });
+});
+
+describe('environment variables', () => {
+    test('envName() converts camelCase keys', () => {
+        expect(envName('redactPII')).toBe('SENTINEL_REDACT_PII');
+        expect(envName('remoteLogEndpoint', 'APP_')).toBe('APP_REMOTE_LOG_ENDPOINT');
+    });
+
+    test('readEnv() coerces values to the schema type', () => {
+        expect(readEnv({
+            SENTINEL_REDACT_PII: 'off',
+            SENTINEL_ENABLE_RATE_LIMIT: 'YES',
+            SENTINEL_HEURISTIC_BLOCK_THRESHOLD: '65.5',
+            SENTINEL_REMOTE_LOG_ENDPOINT: 'null',
+            SENTINEL_CUSTOM_SIGNATURES: '[{"id":"a","pattern":"x"}]',
+            SENTINEL_ENVIRONMENT: 'staging'
+        })).toEqual({
+            redactPII: false,
+            enableRateLimit: true,
+            heuristicBlockThreshold: 65.5,
+            remoteLogEndpoint: null,
+            customSignatures: [{ id: 'a', pattern: 'x' }],
+            environment: 'staging'
+        });
+    });
+
+    test('readEnv() leaves unconvertible values for validation and ignores unknown variables', () => {
+        expect(readEnv({ SENTINEL_DEBUG: 'maybe', SENTINEL_UNKNOWN: '1', SENTINEL_ON_ERROR: 'x' })).toEqual({ debug: 'maybe' });
+    });
+});
+
+describe('parseFlatYaml()', () => {
+    test('parses scalars, quoted strings, inline JSON and comments', () => {
+        expect(parseFlatYaml([
+            '---',
+            '# SENTINEL settings',
+            'environment: production # trailing comment',
+            'redactPII: true',
+            'rateLimit: 50',
+            'remoteLogEndpoint: ~',
+            "logFilePath: './logs/it''s.log'",
+            'apiKey: "a#b"',
+            'logDestinations: [{"type": "console"}] # inline list'
+        ].join('\n'))).toEqual({
+            environment: 'production',
+            redactPII: true,
+            rateLimit: 50,
+            remoteLogEndpoint: null,
+            logFilePath: './logs/it\'s.log',
+            apiKey: 'a#b',
+            logDestinations: [{ type: 'console' }]
+        });
+    });
+
+    test.each([
+        ['logDestinations:\n  - type: console', /line 2: nested values are not supported/],
+        ['just text', /line 1: expected "key: value"/],
+        ['apiKey: \'open', /line 1: unterminated string/]
+    ])('rejects %p', (text, message) => {
+        expect(() => parseFlatYaml(text)).toThrow(message);
+    });
+});
@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import { SentinelConfig, SentinelConfigError } from '../src/utils/config.js';
+import { validateConfig, suggestKey, migrateDeprecatedKeys } from '../src/utils/config-schema.js';
+
+describe('configuration schema', () => {
+    let warn;
+
+    beforeEach(() => {
+        warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    test('the defaults are valid', () => {
+        expect(new SentinelConfig().validate()).toEqual({ valid: true, errors: [], warnings: [] });
+        expect(warn).not.toHaveBeenCalled();
+    });
+
+    test('reports unknown keys with a suggestion', () => {
+        const { valid, errors } = new SentinelConfig({ redactPii: false, maxInputLenght: 5000 }).validate();
+
+        expect(valid).toBe(false);
+        expect(errors).toEqual([
+            expect.objectContaining({ code: 'unknown_key', key: 'redactPii', suggestion: 'redactPII', source: 'options' }),
+            expect.objectContaining({ code: 'unknown_key', key: 'maxInputLenght', suggestion: 'maxInputLength' })
+        ]);
+        expect(suggestKey('blockthreshold')).toBe('heuristicBlockThreshold');
+        expect(suggestKey('somethingElse')).toBeNull();
+    });
+
+    test.each([
+        [{ maxInputLength: 'long' }, 'invalid_type', /must be integer/],
+        [{ maxInputLength: 50 }, 'out_of_range', /between 100 and 100000/],
+        [{ rateLimit: 0 }, 'out_of_range', /at least 1/],
+        [{ logLevel: 'verbose' }, 'invalid_enum', /one of: debug, info, warn, error/],
+        [{ remoteLogEndpoint: 42 }, 'invalid_type', /must be string or null/],
+        [{ heuristicWarnThreshold: 80, heuristicBlockThreshold: 60 }, 'invalid_relation', /less than/],
+        [{ logDestinations: [{ type: 'pigeon' }] }, 'invalid_enum', /logDestinations\[0\]\.type/]
+    ])('reports %j', (options, code, message) => {
+        const errors = validateConfig({ ...new SentinelConfig().getAll(), ...options });
+
+        expect(errors).toContainEqual(expect.objectContaining({ severity: 'error', code, message: expect.stringMatching(message) }));
+    });
+
+    test('warns about missing dependencies', () => {
+        const { valid, warnings } = new SentinelConfig({ logDestination: 'remote' }).validate();
+
+        expect(valid).toBe(true);
+        expect(warnings).toContainEqual(expect.objectContaining({ code: 'missing_dependency', key: 'remoteLogEndpoint' }));
+    });
+
+    test('never echoes secret values', () => {
+        const [error] = validateConfig({ apiKey: 12345 });
+
+        expect(error.value).toBe('[hidden]');
+    });
+
+    test('moves deprecated keys to their replacements with a warning', () => {
+        const config = new SentinelConfig({ blockThreshold: 60, logFile: './x.log' });
+
+        expect(config.get('heuristicBlockThreshold')).toBe(60);
+        expect(config.get('logFilePath')).toBe('./x.log');
+        expect(config.getAll()).not.toHaveProperty('blockThreshold');
+        expect(config.validate().warnings.map(w => w.key)).toEqual(['blockThreshold', 'logFile']);
+    });
+
+    test('the current key wins over its deprecated alias', () => {
+        const { options, diagnostics } = migrateDeprecatedKeys({ blockThreshold: 60, heuristicBlockThreshold: 80 });
+
+        expect(options).toEqual({ heuristicBlockThreshold: 80 });
+        expect(diagnostics[0].message).toMatch(/ignored because heuristicBlockThreshold is also set/);
+    });
+
+    test('non-strict configs warn and keep invalid values', () => {
+        const config = new SentinelConfig();
+        config.update({ redactPii: false });
+
+        expect(warn).toHaveBeenCalledWith('SENTINEL Config Validation Warnings:', [expect.stringContaining('redactPii')]);
+        expect(config.get('redactPii')).toBe(false);
+    });
+
+    describe('strictConfig', () => {
+        test('throws a SentinelConfigError listing every problem', () => {
+            let error;
+            try {
+                new SentinelConfig({ strictConfig: true, redactPii: false, rateLimit: -1 });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).toBeInstanceOf(SentinelConfigError);
+            expect(error.diagnostics.map(d => d.key).sort()).toEqual(['rateLimit', 'redactPii']);
+            expect(error.message).toMatch(/^Invalid SENTINEL configuration:\n {2}- [\s\S]*Unknown option redactPii/);
+        });
+
+        test('applies nothing from a rejected update() or fromJSON()', () => {
+            const config = new SentinelConfig({ strictConfig: true });
+
+            expect(() => config.update({ rateLimit: 50, logLevel: 'loud' })).toThrow(SentinelConfigError);
+            expect(() => config.fromJSON('{"redactPii": false}')).toThrow(SentinelConfigError);
+            expect(config.get('rateLimit')).toBe(100);
+            expect(config.getAll()).not.toHaveProperty('redactPii');
+        });
+
+        test('deprecated keys are warnings, not errors', () => {
+            expect(new SentinelConfig({ strictConfig: true, warnThreshold: 20 }).get('heuristicWarnThreshold')).toBe(20);
+        });
+    });
+
+    test('fromJSON() reports malformed JSON', () => {
+        expect(() => new SentinelConfig().fromJSON('{nope')).toThrow(/Invalid configuration JSON/);
+    });
+});
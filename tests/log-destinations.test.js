@@ -0,0 +1,143 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { SentinelConfig } from '../src/utils/config.js';
+import { ThreatLogger } from '../src/utils/threat-logger.js';
+
+// In-memory transport recording what it receives
+function memoryTransport() {
+    return {
+        entries: [],
+        lines: [],
+        log(entry, line) {
+            this.entries.push(entry);
+            this.lines.push(line);
+        },
+        flush: jest.fn(),
+        close: jest.fn()
+    };
+}
+
+const threatResult = {
+    sessionId: 'sess-1',
+    threats: [{ type: 'injection_attempt', severity: 'high', signatureId: 'ignore_instructions' }]
+};
+
+describe('log destinations', () => {
+    let dir;
+    let consoleLog;
+
+    beforeEach(() => {
+        consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sentinel-destinations-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('writes to every destination whose level and categories accept the entry', async () => {
+        const file = path.join(dir, 'threats.log');
+        const logger = new ThreatLogger(new SentinelConfig({
+            logDestinations: [
+                { type: 'console', level: 'error' },
+                { type: 'file', path: file, format: 'json', categories: ['THREAT', 'BLOCKED'] }
+            ]
+        }));
+
+        await logger.info('started');
+        await logger.logThreats(threatResult);
+        await logger.logBlocked({ blockReason: 'Risk score 80', riskScore: 80, threats: threatResult.threats });
+        await logger.close();
+
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(lines.map(line => line.category)).toEqual(['THREAT', 'BLOCKED']);
+        expect(consoleLog).toHaveBeenCalledTimes(1);
+        expect(consoleLog.mock.calls[0].join(' ')).toContain('BLOCKED');
+    });
+
+    test('renders each destination in its own format', async () => {
+        const logger = new ThreatLogger(new SentinelConfig({ logFormat: 'json' }));
+        const cef = memoryTransport();
+        const inherited = memoryTransport();
+        const raw = memoryTransport();
+        logger.addTransport('cef', cef, { format: 'cef' })
+            .addTransport('inherited', inherited)
+            .addTransport('raw', raw, { format: 'default' });
+
+        await logger.logThreats(threatResult);
+
+        expect(cef.lines[0]).toMatch(/^CEF:0\|/);
+        expect(JSON.parse(inherited.lines[0])).toMatchObject({ category: 'THREAT', sessionId: 'sess-1' });
+        expect(raw.lines[0]).toBeNull();
+        expect(raw.entries[0]).toMatchObject({ level: 'warn', category: 'THREAT', data: { type: 'injection_attempt' } });
+    });
+
+    test('custom transports filter by level and category', async () => {
+        const logger = new ThreatLogger(new SentinelConfig({ logLevel: 'debug', debug: true }));
+        const alerts = memoryTransport();
+        logger.addTransport('alerts', alerts, { level: 'warn', categories: ['THREAT'] });
+
+        await logger.debug('noise');
+        await logger.warn('not a threat');
+        await logger.logThreats(threatResult);
+
+        expect(alerts.entries.map(entry => entry.category)).toEqual(['THREAT']);
+    });
+
+    test('a failing destination does not stop the others', async () => {
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const logger = new ThreatLogger(new SentinelConfig());
+        const healthy = memoryTransport();
+        logger.addTransport('broken', { log: () => { throw new Error('disk full'); } })
+            .addTransport('healthy', healthy);
+
+        await logger.info('hello');
+
+        expect(healthy.entries).toHaveLength(1);
+        expect(error).toHaveBeenCalledWith('SENTINEL log destination "broken" failed:', expect.any(Error));
+    });
+
+    test('flush() and close() reach custom transports, and removeTransport() detaches them', async () => {
+        const logger = new ThreatLogger(new SentinelConfig());
+        const transport = memoryTransport();
+        logger.addTransport('memory', transport);
+
+        await logger.flush();
+        await logger.close();
+        expect(transport.flush).toHaveBeenCalled();
+        expect(transport.close).toHaveBeenCalled();
+
+        expect(logger.removeTransport('memory')).toBe(true);
+        await logger.info('after');
+        expect(transport.entries).toHaveLength(0);
+    });
+
+    test.each([
+        [{}, {}, /must have a log\(entry, line\) method/],
+        [memoryTransport(), { level: 'loud' }, /Unknown log level: loud/],
+        [memoryTransport(), { format: 'xml' }, /Unknown log format: xml/]
+    ])('addTransport() rejects invalid transports', (transport, options, message) => {
+        const logger = new ThreatLogger(new SentinelConfig());
+
+        expect(() => logger.addTransport('x', transport, options)).toThrow(message);
+    });
+
+    test('addTransport() rejects duplicate names', () => {
+        const logger = new ThreatLogger(new SentinelConfig());
+        logger.addTransport('x', memoryTransport());
+
+        expect(() => logger.addTransport('x', memoryTransport())).toThrow(/already registered/);
+    });
+
+    test('invalid destinations are reported by the schema', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const { errors, warnings } = new SentinelConfig({
+            logDestinations: [{ type: 'file', level: 'loud' }, { type: 'remote' }, 'console']
+        }).validate();
+
+        expect(errors.map(e => e.key)).toEqual(['logDestinations[0].level', 'logDestinations[2]']);
+        expect(warnings.map(w => w.key)).toEqual(['logDestinations[1].endpoint']);
+    });
+});
@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+import { formatLogEntry, normalizeEntry } from '../src/utils/log-formatters.js';
+import { SentinelConfig } from '../src/utils/config.js';
+import { ThreatLogger } from '../src/utils/threat-logger.js';
+
+const threat = {
+    level: 'warn',
+    category: 'THREAT',
+    timestamp: '2026-01-02T03:04:05.000Z',
+    data: {
+        type: 'injection_attempt',
+        severity: 'high',
+        details: 'Ignore instructions',
+        signatureId: 'ignore_instructions',
+        sessionId: 'sess-1'
+    }
+};
+
+const blocked = {
+    level: 'error',
+    category: 'BLOCKED',
+    timestamp: '2026-01-02T03:04:05.000Z',
+    data: { reason: 'Risk score 80 reached block threshold 70', sessionId: 'sess-1' }
+};
+
+describe('log formatters', () => {
+    test('normalize entries to stable field names', () => {
+        expect(normalizeEntry(threat)).toMatchObject({
+            action: 'flagged',
+            threatType: 'injection_attempt',
+            severity: 'high',
+            sessionId: 'sess-1',
+            ruleId: 'ignore_instructions',
+            message: 'Threat detected: injection_attempt (high) - Ignore instructions'
+        });
+        expect(normalizeEntry(blocked)).toMatchObject({ action: 'blocked', severity: 'high', threatType: null });
+        expect(normalizeEntry({ level: 'info', category: 'AUDIT', data: { action: 'CONFIG_CHANGED' } }))
+            .toMatchObject({ action: 'CONFIG_CHANGED', severity: 'low', message: 'Audit: CONFIG_CHANGED' });
+    });
+
+    test('json', () => {
+        expect(JSON.parse(formatLogEntry(threat, 'json'))).toMatchObject({ category: 'THREAT', action: 'flagged', sessionId: 'sess-1' });
+    });
+
+    test('ecs', () => {
+        const document = JSON.parse(formatLogEntry(threat, 'ecs', { environment: 'production' }));
+
+        expect(document).toMatchObject({
+            '@timestamp': threat.timestamp,
+            log: { level: 'warn' },
+            event: { kind: 'alert', category: ['intrusion_detection'], action: 'flagged', severity: 8, dataset: 'sentinel.threat' },
+            rule: { id: 'ignore_instructions', category: 'injection_attempt' },
+            service: { name: 'sentinel', environment: 'production' },
+            sentinel: { threat_type: 'injection_attempt', severity: 'high', session_id: 'sess-1' }
+        });
+        expect(JSON.parse(formatLogEntry(blocked, 'ecs')).event.type).toEqual(['denied']);
+    });
+
+    test('cef', () => {
+        expect(formatLogEntry(threat, 'cef')).toBe(
+            'CEF:0|Neura|SENTINEL Community|1.1.0|ignore_instructions|Threat detected: injection_attempt (high) - Ignore instructions|8|' +
+            'rt=1767323045000 act=flagged cat=injection_attempt cs1Label=sessionId cs1=sess-1 cs2Label=severity cs2=high ' +
+            'msg=Threat detected: injection_attempt (high) - Ignore instructions'
+        );
+    });
+
+    test('cef escapes header and extension separators', () => {
+        const line = formatLogEntry({ ...blocked, data: { reason: 'a|b=c\nd' } }, 'cef');
+
+        expect(line).toContain('|Request blocked: a\\|b=c d|');
+        expect(line).toContain('msg=Request blocked: a|b\\=c\\nd');
+    });
+
+    test('syslog', () => {
+        const line = formatLogEntry(threat, 'syslog', { facility: 4 });
+
+        expect(line).toMatch(/^<36>1 2026-01-02T03:04:05\.000Z \S+ sentinel \d+ THREAT \[sentinel@32473 /);
+        expect(line).toContain('action="flagged" threatType="injection_attempt" severity="high" sessionId="sess-1" ruleId="ignore_instructions"');
+        expect(line.endsWith('] Threat detected: injection_attempt (high) - Ignore instructions')).toBe(true);
+    });
+
+    test('syslog escapes structured data and keeps one line', () => {
+        const line = formatLogEntry({ ...blocked, data: { reason: 'x\ny', sessionId: 'a"b]' } }, 'syslog');
+
+        expect(line).toContain('sessionId="a\\"b\\]"');
+        expect(line).not.toContain('\n');
+    });
+
+    test('rejects unknown formats', () => {
+        expect(() => formatLogEntry(threat, 'xml')).toThrow(/Unknown log format: xml\. Available: json, ecs, cef, syslog/);
+    });
+});
+
+describe('ThreatLogger logFormat', () => {
+    test('renders console lines in the configured format', async () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const logger = new ThreatLogger(new SentinelConfig({ logFormat: 'cef' }));
+
+        await logger.logThreats({ sessionId: 'sess-1', threats: [threat.data] });
+
+        expect(log).toHaveBeenCalledTimes(1);
+        expect(log.mock.calls[0][0]).toMatch(/^CEF:0\|Neura\|SENTINEL Community\|1\.1\.0\|ignore_instructions\|/);
+    });
+
+    test('rejects unknown formats in the config', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(new SentinelConfig({ logFormat: 'xml' }).validate().errors).toContainEqual(
+            expect.objectContaining({ key: 'logFormat', code: 'invalid_enum' })
+        );
+    });
+});
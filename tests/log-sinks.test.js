@@ -0,0 +1,195 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { FileSink, RemoteSink } from '../src/utils/log-sinks.js';
+import { SentinelConfig } from '../src/utils/config.js';
+import { ThreatLogger } from '../src/utils/threat-logger.js';
+
+/**
+ * Local HTTP stand-in for a log collector. `status` can be changed between
+ * requests to simulate an outage.
+ */
+async function startCollector() {
+    const collector = { status: 200, requests: [] };
+    collector.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            collector.requests.push({ headers: req.headers, body, status: collector.status });
+            res.statusCode = collector.status;
+            res.end();
+        });
+    });
+
+    await new Promise(resolve => collector.server.listen(0, '127.0.0.1', resolve));
+    collector.endpoint = `http://127.0.0.1:${collector.server.address().port}/logs`;
+    collector.delivered = () => collector.requests
+        .filter(request => request.status < 300)
+        .flatMap(request => JSON.parse(request.body));
+    return collector;
+}
+
+describe('RemoteSink', () => {
+    let collector;
+    let dir;
+
+    beforeEach(async () => {
+        collector = await startCollector();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sentinel-remote-'));
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => collector.server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const createSink = (options = {}) => new RemoteSink({
+        endpoint: collector.endpoint,
+        fetch: globalThis.fetch,
+        batchSize: 2,
+        flushIntervalMs: 60000,
+        maxRetries: 1,
+        retryDelayMs: 1,
+        spoolPath: path.join(dir, 'remote.spool'),
+        ...options
+    });
+
+    test('sends full batches as JSON arrays', async () => {
+        const sink = createSink();
+        sink.write('{"n":1}');
+        sink.write('{"n":2}');
+        sink.write('{"n":3}');
+        await sink.close();
+
+        expect(collector.requests.map(request => request.headers['x-sentinel-batch-size'])).toEqual(['2', '1']);
+        expect(collector.delivered()).toEqual([{ n: 1 }, { n: 2 }, { n: 3 }]);
+        expect(sink.stats.sent).toBe(3);
+    });
+
+    test('spools lines while the endpoint fails and drains the spool once it recovers', async () => {
+        const spoolPath = path.join(dir, 'remote.spool');
+        const sink = createSink();
+
+        collector.status = 503;
+        sink.write('{"n":1}');
+        sink.write('{"n":2}');
+        await sink.flush();
+
+        expect(sink.stats.spooled).toBe(2);
+        expect(sink.stats.retried).toBeGreaterThan(0);
+        expect(fs.readFileSync(spoolPath, 'utf8')).toBe('{"n":1}\n{"n":2}\n');
+        expect(collector.delivered()).toEqual([]);
+
+        collector.status = 200;
+        sink.write('{"n":3}');
+        await sink.flush();
+
+        // Spooled lines are delivered before newer ones
+        expect(collector.delivered()).toEqual([{ n: 1 }, { n: 2 }, { n: 3 }]);
+        expect(fs.existsSync(spoolPath)).toBe(false);
+    });
+
+    test('drops batches the endpoint rejects instead of retrying them', async () => {
+        const dropped = [];
+        const sink = createSink({ onDrop: lines => dropped.push(...lines) });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        collector.status = 400;
+        sink.write('{"n":1}');
+        await sink.flush();
+
+        expect(collector.requests).toHaveLength(1);
+        expect(dropped).toEqual(['{"n":1}']);
+        expect(sink.stats.dropped).toBe(1);
+    });
+
+    test('close() flushes pending lines and rejects later writes', async () => {
+        const dropped = [];
+        const sink = createSink({ batchSize: 50, onDrop: lines => dropped.push(...lines) });
+        sink.write('{"n":1}');
+
+        expect(collector.requests).toHaveLength(0);
+        await sink.close();
+        expect(collector.delivered()).toEqual([{ n: 1 }]);
+
+        sink.write('{"n":2}');
+        expect(dropped).toEqual(['{"n":2}']);
+    });
+
+    test('sends newline-separated text for non-JSON content types', async () => {
+        const sink = createSink({ contentType: 'text/plain' });
+        sink.write('CEF:0|a');
+        sink.write('CEF:0|b');
+        await sink.close();
+
+        expect(collector.requests[0].headers['content-type']).toBe('text/plain');
+        expect(collector.requests[0].body).toBe('CEF:0|a\nCEF:0|b\n');
+    });
+});
+
+describe('FileSink', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sentinel-file-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('rotates before a file would exceed maxSize and keeps maxFiles rotated files', async () => {
+        const file = path.join(dir, 'sentinel.log');
+        const sink = new FileSink({ path: file, maxSize: 20, maxFiles: 2 });
+
+        // 10 bytes per line, two lines per file
+        for (let i = 0; i < 7; i++) {
+            sink.write(`line-${i}-ab`.slice(0, 9));
+        }
+        await sink.close();
+
+        expect(fs.readdirSync(dir).sort()).toEqual(['sentinel.log', 'sentinel.log.1', 'sentinel.log.2']);
+        expect(fs.readFileSync(file, 'utf8')).toBe('line-6-ab\n');
+        expect(fs.readFileSync(`${file}.1`, 'utf8')).toBe('line-4-ab\nline-5-ab\n');
+        expect(fs.readFileSync(`${file}.2`, 'utf8')).toBe('line-2-ab\nline-3-ab\n');
+    });
+
+    test('continues an existing file and rotates it once it is older than rotateIntervalMs', async () => {
+        const file = path.join(dir, 'sentinel.log');
+        fs.writeFileSync(file, 'old\n');
+
+        const sink = new FileSink({ path: file, rotateIntervalMs: 1 });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await sink.write('new');
+
+        expect(fs.readFileSync(`${file}.1`, 'utf8')).toBe('old\n');
+        expect(fs.readFileSync(file, 'utf8')).toBe('new\n');
+    });
+
+    test('ThreatLogger file destinations rotate with logMaxSize and logMaxFiles', async () => {
+        const file = path.join(dir, 'threats.log');
+        const config = new SentinelConfig({
+            logDestination: 'file',
+            logFilePath: file,
+            logFormat: 'json',
+            logMaxSize: 400,
+            logMaxFiles: 1
+        });
+        const logger = new ThreatLogger(config);
+
+        for (let i = 0; i < 10; i++) {
+            await logger.info(`entry ${i}`);
+        }
+        await logger.close();
+
+        expect(fs.readdirSync(dir).sort()).toEqual(['threats.log', 'threats.log.1']);
+        for (const name of ['threats.log', 'threats.log.1']) {
+            const text = fs.readFileSync(path.join(dir, name), 'utf8');
+            expect(Buffer.byteLength(text)).toBeLessThanOrEqual(400);
+            expect(text.split('\n').filter(Boolean).map(line => JSON.parse(line).category)).not.toContain(undefined);
+        }
+        expect(fs.readFileSync(file, 'utf8')).toContain('entry 9');
+    });
+});
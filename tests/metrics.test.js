@@ -0,0 +1,66 @@
+import { jest } from '@jest/globals';
+import { SentinelMetrics } from '../src/utils/metrics.js';
+import { Sentinel } from '../src/index.js';
+
+const sample = (text, line) => {
+    const match = text.split('\n').find(l => l.startsWith(line + ' '));
+    return match === undefined ? undefined : Number(match.slice(line.length + 1));
+};
+
+describe('SentinelMetrics', () => {
+    test('records sub-millisecond latencies from durationMs', () => {
+        const metrics = new SentinelMetrics();
+        metrics.observe('input:sanitized', { decision: 'allowed', processingTime: 0, durationMs: 0.4 });
+        metrics.observe('input:sanitized', { decision: 'allowed', processingTime: 2, durationMs: 1.8 });
+
+        const text = metrics.render();
+        expect(sample(text, 'sentinel_protect_duration_seconds_bucket{le="0.001"}')).toBe(1);
+        expect(sample(text, 'sentinel_protect_duration_seconds_bucket{le="0.0025"}')).toBe(2);
+        expect(sample(text, 'sentinel_protect_duration_seconds_sum')).toBeCloseTo(0.0022);
+    });
+
+    test('falls back to processingTime for payloads without durationMs', () => {
+        const metrics = new SentinelMetrics();
+        metrics.observe('output:filtered', { processingTime: 3 });
+
+        const text = metrics.render();
+        expect(sample(text, 'sentinel_filter_output_duration_seconds_bucket{le="0.0025"}')).toBe(0);
+        expect(sample(text, 'sentinel_filter_output_duration_seconds_bucket{le="0.005"}')).toBe(1);
+    });
+
+    test('counts threats and redactions by label', () => {
+        const metrics = new SentinelMetrics();
+        metrics.observe('threat', { threat: { type: 'injection_attempt', severity: 'high' } });
+        metrics.observe('output:redacted', { redactions: [{ type: 'pii', detector: 'email', count: 2 }] });
+
+        const text = metrics.render();
+        expect(sample(text, 'sentinel_threats_total{type="injection_attempt",severity="high"}')).toBe(1);
+        expect(sample(text, 'sentinel_redactions_total{type="pii",detector="email"}')).toBe(2);
+    });
+});
+
+describe('Sentinel latency events', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    test('protect() and filterOutput() report fractional durations', async () => {
+        const sentinel = new Sentinel();
+        const events = [];
+        sentinel.on('input:sanitized', event => events.push(event));
+        sentinel.on('output:filtered', event => events.push(event));
+
+        await sentinel.protect('hello');
+        await sentinel.filterOutput('bob@example.com');
+
+        expect(events).toHaveLength(2);
+        for (const event of events) {
+            expect(typeof event.durationMs).toBe('number');
+            expect(event.durationMs).toBeGreaterThan(0);
+            expect(event.processingTime).toBe(Math.round(event.durationMs));
+        }
+        expect(sample(sentinel.metrics(), 'sentinel_protect_duration_seconds_count')).toBe(1);
+        expect(sample(sentinel.metrics(), 'sentinel_filter_output_duration_seconds_sum')).toBeCloseTo(events[1].durationMs / 1000);
+    });
+});
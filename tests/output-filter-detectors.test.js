@@ -0,0 +1,118 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { OutputFilterBasic } from '../src/layers/output-filter-basic.js';
+import { SentinelConfig } from '../src/utils/config.js';
+
+describe('OutputFilterBasic detector registry', () => {
+    let filter;
+
+    beforeEach(() => {
+        filter = new OutputFilterBasic({});
+    });
+
+    test('redacts matches of a registered pattern detector', async () => {
+        filter.registerDetector({ id: 'employeeId', name: 'Employee ID', pattern: 'EMP-\\d{6}', redact: 'label' });
+
+        const result = await filter.filter('Ticket owner is EMP-123456.');
+        expect(result.output).toBe('Ticket owner is [EMPLOYEE_ID].');
+        expect(result.redactions).toContainEqual(expect.objectContaining({ type: 'pii', detector: 'employeeId', count: 1 }));
+    });
+
+    test('secret detectors are grouped with the built-in secrets', async () => {
+        filter.registerDetector({ id: 'internalHost', type: 'secret', pattern: /\b[a-z0-9-]+\.corp\.example\b/, redact: 'mask' });
+
+        expect(filter.listDetectors().secret).toContain('internalHost');
+        const result = await filter.filter('Connect to db-01.corp.example');
+        expect(result.output).toBe('Connect to [REDACTED]');
+        expect(result.redactions[0]).toMatchObject({ type: 'secret', detector: 'internalHost' });
+    });
+
+    test.each([
+        ['mask', '[REDACTED]'],
+        ['partial', '********5678'],
+        ['remove', ''],
+        [(m) => `<${m.length}>`, '<12>']
+    ])('applies the %p redaction strategy', async (redact, replacement) => {
+        filter.registerDetector({ id: 'account', pattern: 'ACCT\\d{8}', redact });
+
+        expect((await filter.filter('ACCT12345678')).output).toBe(replacement);
+    });
+
+    test('function detectors return spans to redact', async () => {
+        filter.registerDetector({
+            id: 'codename',
+            detect: (text) => {
+                const start = text.indexOf('Bluebird');
+                return start === -1 ? [] : [{ start, end: start + 'Bluebird'.length }];
+            }
+        });
+
+        expect((await filter.filter('Project Bluebird ships soon')).output).toBe('Project [REDACTED] ships soon');
+    });
+
+    test('rejects duplicate ids unless replace is set', () => {
+        filter.registerDetector({ id: 'account', pattern: 'A\\d+' });
+
+        expect(() => filter.registerDetector({ id: 'account', pattern: 'B\\d+' })).toThrow(/already registered/);
+        filter.registerDetector({ id: 'account', type: 'secret', pattern: 'B\\d+' }, { replace: true });
+        expect(filter.listDetectors().pii).not.toContain('account');
+        expect(filter.listDetectors().secret).toContain('account');
+    });
+
+    test.each([
+        [null, /must be an object/],
+        [{ pattern: 'x' }, /id must be a non-empty string/],
+        [{ id: 'a', pattern: 'x', type: 'other' }, /invalid type/],
+        [{ id: 'a' }, /pattern \(RegExp or string\) or a detect\(\) function is required/],
+        [{ id: 'a', pattern: '(' }, /invalid pattern/],
+        [{ id: 'a', pattern: 'x', validate: 'crc' }, /unknown validator/],
+        [{ id: 'a', pattern: 'x', redact: 'shred' }, /unknown redaction strategy/]
+    ])('rejects invalid definition %j', (definition, message) => {
+        expect(() => filter.registerDetector(definition)).toThrow(message);
+    });
+
+    test('unregisterDetector() removes built-in and custom detectors', async () => {
+        expect(filter.unregisterDetector('email')).toBe(true);
+        expect(filter.unregisterDetector('email')).toBe(false);
+
+        expect((await filter.filter('mail john@example.com')).filtered).toBe(false);
+    });
+
+    test('loadDetectors() validates the whole set before registering any of it', async () => {
+        await expect(filter.loadDetectors({
+            detectors: [
+                { id: 'ok', pattern: 'ok' },
+                { id: 'bad', pattern: 'x', type: 'nope' },
+                { id: 'ok', pattern: 'dup' }
+            ]
+        })).rejects.toThrow(/\[1\].*invalid type[\s\S]*\[2\].*Duplicate detector id/);
+
+        expect(filter.listDetectors().pii).not.toContain('ok');
+    });
+
+    test('loadDetectors() reads JSON files', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sentinel-detectors-'));
+        const file = path.join(dir, 'detectors.json');
+        fs.writeFileSync(file, JSON.stringify([{ id: 'customerAccount', pattern: 'CA-\\d{4}', redact: 'partial' }]));
+
+        try {
+            expect(await filter.loadDetectors(file)).toBe(1);
+            expect((await filter.filter('Account CA-1234')).output).toBe('Account ***1234');
+            await expect(filter.loadDetectors(path.join(dir, 'missing.json'))).rejects.toThrow(/Failed to load detectors/);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('customDetectors from the config are replaced on reconfiguration', () => {
+        filter = new OutputFilterBasic(new SentinelConfig({ customDetectors: [{ id: 'one', pattern: 'one' }] }));
+        filter.registerDetector({ id: 'manual', pattern: 'manual' });
+        expect(filter.listDetectors().pii).toContain('one');
+
+        filter.updateConfig(new SentinelConfig({ customDetectors: [{ id: 'two', pattern: 'two', type: 'secret' }] }));
+        expect(filter.listDetectors().pii).not.toContain('one');
+        expect(filter.listDetectors().pii).toContain('manual');
+        expect(filter.listDetectors().secret).toContain('two');
+    });
+});
@@ -0,0 +1,38 @@
+import { OutputFilterBasic } from '../src/layers/output-filter-basic.js';
+import { credentials } from './fixtures/credentials.js';
+
+describe('OutputFilterBasic secret detectors', () => {
+    let filter;
+
+    beforeEach(() => {
+        filter = new OutputFilterBasic({});
+    });
+
+    test('has fixtures for every built-in secret detector', () => {
+        expect(Object.keys(credentials).sort()).toEqual(Object.keys(filter.secretPatterns).sort());
+    });
+
+    describe.each(Object.entries(credentials))('%s', (id, { matches, nearMisses }) => {
+        test.each(matches)('redacts $secret', async ({ text, secret }) => {
+            const result = await filter.filter(text);
+
+            expect(result.filtered).toBe(true);
+            expect(result.output).not.toContain(secret);
+            expect(result.redactions).toContainEqual(expect.objectContaining({ type: 'secret', detector: id }));
+        });
+
+        test.each(nearMisses)('leaves %j alone', async (text) => {
+            const result = await filter.filter(text);
+
+            expect(result.redactions.map(r => r.detector)).not.toContain(id);
+        });
+    });
+
+    test('does not redact secrets when redactSecrets is off', async () => {
+        filter.config = { get: (key, fallback) => (key === 'redactSecrets' ? false : fallback) };
+        const result = await filter.filter(credentials.awsAccessKey.matches[0].text);
+
+        expect(result.output).toBe(credentials.awsAccessKey.matches[0].text);
+        expect(result.redactions).toEqual([]);
+    });
+});
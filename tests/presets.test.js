@@ -0,0 +1,77 @@
+import { jest } from '@jest/globals';
+import { Sentinel } from '../src/index.js';
+import { SentinelConfig } from '../src/utils/config.js';
+
+describe('presets', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        SentinelConfig.removePreset('acme');
+        SentinelConfig.removePreset('acme-internal');
+    });
+
+    test('Sentinel.fromPreset() applies the preset and overrides', () => {
+        const sentinel = Sentinel.fromPreset('strict', { maxInputLength: 3000 });
+
+        expect(sentinel.config.get('heuristicBlockThreshold')).toBe(50);
+        expect(sentinel.config.get('maxInputLength')).toBe(3000);
+        expect(sentinel.config.getSource('heuristicBlockThreshold')).toBe('preset');
+        expect(sentinel.config.getSource('maxInputLength')).toBe('options');
+    });
+
+    test('the constructor accepts a ready SentinelConfig', () => {
+        const config = SentinelConfig.preset('paranoid');
+
+        expect(new Sentinel(config).config).toBe(config);
+    });
+
+    test('custom presets extend built-in and other custom presets', () => {
+        SentinelConfig.definePreset('acme', { extends: 'strict', maxInputLength: 4000 });
+        SentinelConfig.definePreset('acme-internal', { extends: 'acme', redactPII: false });
+
+        expect(SentinelConfig.listPresets()).toEqual(expect.arrayContaining(['minimal', 'strict', 'acme', 'acme-internal']));
+        expect(SentinelConfig.resolvePreset('acme-internal')).toMatchObject({
+            securityLevel: 'strict',
+            heuristicBlockThreshold: 50,
+            maxInputLength: 4000,
+            redactPII: false
+        });
+    });
+
+    test.each([
+        ['', {}, /non-empty string/],
+        ['strict', {}, /Cannot redefine built-in preset/],
+        ['acme', { extends: 'missing' }, /Unknown preset: missing/]
+    ])('definePreset(%p) rejects invalid definitions', (name, definition, message) => {
+        expect(() => SentinelConfig.definePreset(name, definition)).toThrow(message);
+        expect(SentinelConfig.listPresets()).not.toContain('acme');
+    });
+
+    test('rejects inheritance cycles', () => {
+        SentinelConfig.definePreset('acme', { extends: 'strict' });
+
+        expect(() => SentinelConfig.definePreset('acme-internal', { extends: 'acme-internal' })).toThrow(/cycle/);
+    });
+
+    test('unknown presets list the available names', () => {
+        expect(() => Sentinel.fromPreset('nope')).toThrow(/Unknown preset: nope\. Available: minimal, standard, strict, paranoid/);
+    });
+
+    test('reports the preset in getStats() and the audit trail', async () => {
+        SentinelConfig.definePreset('acme', { extends: 'standard' });
+        const sentinel = Sentinel.fromPreset('acme');
+
+        expect(sentinel.getStats().preset).toBe('acme');
+        await new Promise(resolve => setImmediate(resolve));
+        expect(sentinel.logger.getRecent(10, 'audit')).toContainEqual(expect.objectContaining({
+            data: expect.objectContaining({ action: 'SENTINEL_CREATED', preset: 'acme' })
+        }));
+    });
+
+    test('getStats() reports no preset for raw options', () => {
+        expect(new Sentinel({}).getStats().preset).toBeNull();
+    });
+});
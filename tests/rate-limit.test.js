@@ -0,0 +1,169 @@
+import { jest } from '@jest/globals';
+import { RateLimiter } from '../src/utils/rate-limiter.js';
+import { SentinelConfig } from '../src/utils/config.js';
+import { ThreatLogger } from '../src/utils/threat-logger.js';
+import { Sentinel } from '../src/index.js';
+
+/**
+ * Store with only get/set/delete whose reads and writes take a moment, like
+ * a network store. Records every call.
+ */
+function slowStore() {
+    const entries = new Map();
+    const delay = () => new Promise(resolve => setTimeout(resolve, 1));
+    return {
+        calls: [],
+        async get(key) {
+            this.calls.push(['get', key]);
+            await delay();
+            return entries.get(key) ?? null;
+        },
+        async set(key, state, ttlMs) {
+            this.calls.push(['set', key, ttlMs]);
+            await delay();
+            entries.set(key, state);
+        },
+        async delete(key) {
+            this.calls.push(['delete', key]);
+            entries.delete(key);
+        }
+    };
+}
+
+describe('RateLimiter', () => {
+    const createLimiter = (options) => new RateLimiter(new SentinelConfig({ rateLimit: 2, rateLimitWindowMs: 1000, ...options }));
+
+    test.each(['token-bucket', 'sliding-window'])('%s allows `rateLimit` requests per key and window', async (strategy) => {
+        const limiter = createLimiter({ rateLimitStrategy: strategy });
+
+        expect((await limiter.consume('a', 0)).allowed).toBe(true);
+        expect((await limiter.consume('a', 1)).allowed).toBe(true);
+
+        const rejected = await limiter.consume('a', 2);
+        expect(rejected).toMatchObject({ allowed: false, key: 'a', limit: 2, remaining: 0, strategy });
+        expect(rejected.retryAfter).toBeGreaterThan(0);
+
+        // Other keys have their own budget
+        expect((await limiter.consume('b', 2)).allowed).toBe(true);
+
+        // The budget comes back after the window
+        expect((await limiter.consume('a', 2500)).allowed).toBe(true);
+    });
+
+    test.each(['token-bucket', 'sliding-window'])('%s counts concurrent requests for a key one at a time', async (strategy) => {
+        const limiter = createLimiter({ rateLimit: 1, rateLimitStrategy: strategy });
+
+        const results = await Promise.all(Array.from({ length: 10 }, () => limiter.consume('a', 0)));
+
+        expect(results.filter(r => r.allowed)).toHaveLength(1);
+    });
+
+    test('serializes concurrent requests on stores without consume()', async () => {
+        const store = slowStore();
+        const limiter = createLimiter({ rateLimit: 3, rateLimitStore: store });
+
+        const results = await Promise.all(Array.from({ length: 10 }, (_, i) => limiter.consume(i % 2 ? 'a' : 'b', 0)));
+
+        expect(results.filter(r => r.allowed && r.key === 'a')).toHaveLength(3);
+        expect(results.filter(r => r.allowed && r.key === 'b')).toHaveLength(3);
+        expect(limiter.pending.size).toBe(0);
+    });
+
+    test('hands the request to a store\'s atomic consume()', async () => {
+        const consume = jest.fn(async () => ({ allowed: false, remaining: 0, resetAt: 5000, retryAfter: 4000 }));
+        const limiter = createLimiter({ rateLimitStore: { ...slowStore(), consume } });
+
+        expect(await limiter.consume('a', 1000)).toEqual({
+            allowed: false, key: 'a', limit: 2, remaining: 0, resetAt: 5000, retryAfter: 4000, strategy: 'token-bucket'
+        });
+        expect(consume).toHaveBeenCalledWith('sentinel:ratelimit:a', {
+            strategy: 'token-bucket', limit: 2, windowMs: 1000, now: 1000, ttlMs: 2000
+        });
+    });
+
+    test('rejects unknown strategies', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const limiter = createLimiter({ rateLimitStrategy: 'leaky' });
+
+        await expect(limiter.consume('a')).rejects.toThrow(/Unknown rate limit strategy: leaky/);
+    });
+
+    test('reset() forgets a key', async () => {
+        const limiter = createLimiter({ rateLimit: 1 });
+        await limiter.consume('a', 0);
+        await limiter.reset('a');
+
+        expect((await limiter.consume('a', 1)).allowed).toBe(true);
+    });
+});
+
+describe('Sentinel rate limiting', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    test('blocks a client over its limit without sanitizing the input', async () => {
+        const sentinel = new Sentinel({ enableRateLimit: true, rateLimit: 1 });
+
+        expect((await sentinel.protect('hello', { userId: 'u1' })).blocked).toBe(false);
+
+        const result = await sentinel.protect('hello', { userId: 'u1' });
+        expect(result).toMatchObject({ blocked: true, blockReason: 'Rate limit exceeded', output: '' });
+        expect(result.rateLimit.allowed).toBe(false);
+        expect(sentinel.getStats().rateLimited).toBe(1);
+
+        expect((await sentinel.protect('hello', { userId: 'u2' })).blocked).toBe(false);
+    });
+
+    test('keeps counters in a custom rateLimitStore', async () => {
+        const store = slowStore();
+        const sentinel = new Sentinel({ enableRateLimit: true, rateLimit: 2, rateLimitWindowMs: 1000, rateLimitStore: store });
+
+        const results = await Promise.all([1, 2, 3].map(() => sentinel.protect('hello', { userId: 'u1' })));
+
+        expect(results.map(r => r.blocked)).toEqual([false, false, true]);
+        expect(store.calls.filter(([method]) => method === 'set')).toEqual(
+            Array(3).fill(['set', 'sentinel:ratelimit:u1', 2000])
+        );
+    });
+
+    test('does not put callers without a key into one shared bucket', async () => {
+        const sentinel = Sentinel.fromPreset('paranoid');
+        const limit = sentinel.config.get('rateLimit');
+
+        for (let i = 0; i <= limit; i++) {
+            const result = await sentinel.protect('hello');
+            expect(result.blocked).toBe(false);
+            expect(result.rateLimit).toBeUndefined();
+        }
+
+        expect(await sentinel.checkRateLimit({})).toBeNull();
+        // The missing key is reported once
+        const printed = [...console.log.mock.calls, ...console.warn.mock.calls].map(args => args.join(' '));
+        expect(printed.filter(line => line.includes('not rate limited'))).toHaveLength(1);
+    });
+});
+
+describe('ThreatLogger.logRateLimited()', () => {
+    test('logs the key, limit and retry delay under RATE_LIMITED', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const logger = new ThreatLogger(new SentinelConfig());
+
+        await logger.logRateLimited({ sessionId: 's1', rateLimit: { allowed: false, key: 'u1', limit: 5, retryAfter: 1200 } });
+
+        expect(logger.getRecent(1)[0]).toMatchObject({
+            level: 'warn',
+            category: 'RATE_LIMITED',
+            data: { key: 'u1', limit: 5, retryAfter: 1200, sessionId: 's1' }
+        });
+    });
+
+    test('is silent when logging is off', async () => {
+        const logger = new ThreatLogger(new SentinelConfig({ enableLogging: false }));
+
+        await logger.logRateLimited({ rateLimit: { key: 'u1' } });
+
+        expect(logger.getRecent()).toEqual([]);
+    });
+});
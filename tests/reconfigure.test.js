@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Sentinel } from '../src/index.js';
+
+describe('Sentinel configuration at runtime', () => {
+    let dir;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sentinel-config-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('reconfigure() applies changes and reports the diff', async () => {
+        const sentinel = new Sentinel();
+        const changes = [];
+        sentinel.on('config:changed', event => changes.push(event.changed));
+
+        const diff = await sentinel.reconfigure({ maxInputLength: 500 });
+
+        expect(diff).toHaveProperty('maxInputLength');
+        expect(sentinel.config.get('maxInputLength')).toBe(500);
+        expect(changes).toEqual([['maxInputLength']]);
+    });
+
+    test('watchConfig() applies the file right away', async () => {
+        const file = path.join(dir, 'sentinel.json');
+        fs.writeFileSync(file, JSON.stringify({ maxInputLength: 500 }));
+        const sentinel = new Sentinel();
+
+        const stop = await sentinel.watchConfig(file, { env: {} });
+        try {
+            expect(sentinel.config.get('maxInputLength')).toBe(500);
+        } finally {
+            stop();
+        }
+    });
+
+    test('watchConfig() reloads the file when it changes', async () => {
+        const file = path.join(dir, 'sentinel.json');
+        fs.writeFileSync(file, JSON.stringify({ maxInputLength: 500 }));
+        const sentinel = new Sentinel();
+
+        const stop = await sentinel.watchConfig(file, { env: {}, interval: 10 });
+        try {
+            const changed = new Promise(resolve => sentinel.once('config:changed', resolve));
+            fs.writeFileSync(file, JSON.stringify({ maxInputLength: 700 }));
+            const future = new Date(Date.now() + 5000);
+            fs.utimesSync(file, future, future);
+            await changed;
+
+            expect(sentinel.config.get('maxInputLength')).toBe(700);
+        } finally {
+            stop();
+        }
+    });
+
+    test('watchConfig() keeps the current configuration when the file is invalid', async () => {
+        const file = path.join(dir, 'sentinel.json');
+        fs.writeFileSync(file, '{ not json');
+        const sentinel = new Sentinel({ maxInputLength: 800 });
+
+        const stop = await sentinel.watchConfig(file, { env: {} });
+        stop();
+
+        expect(sentinel.config.get('maxInputLength')).toBe(800);
+    });
+
+    test('watchConfig() keeps values changed with reconfigure() across reloads', async () => {
+        const file = path.join(dir, 'sentinel.json');
+        fs.writeFileSync(file, JSON.stringify({ maxInputLength: 500 }));
+        const sentinel = new Sentinel();
+
+        const stop = await sentinel.watchConfig(file, { env: {}, interval: 10 });
+        try {
+            await sentinel.reconfigure({ logLevel: 'error' });
+
+            const changed = new Promise(resolve => sentinel.once('config:changed', resolve));
+            fs.writeFileSync(file, JSON.stringify({ maxInputLength: 700, logLevel: 'debug' }));
+            const future = new Date(Date.now() + 5000);
+            fs.utimesSync(file, future, future);
+            await changed;
+
+            expect(sentinel.config.get('maxInputLength')).toBe(700);
+            expect(sentinel.config.get('logLevel')).toBe('error');
+            expect(sentinel.config.getSource('logLevel')).toBe('runtime');
+        } finally {
+            stop();
+        }
+    });
+
+    test('options passed in code take precedence over the file', async () => {
+        const file = path.join(dir, 'sentinel.json');
+        fs.writeFileSync(file, JSON.stringify({ maxInputLength: 500, logLevel: 'error' }));
+        const sentinel = new Sentinel({ maxInputLength: 900 });
+
+        const stop = await sentinel.watchConfig(file, { env: {} });
+        stop();
+
+        expect(sentinel.config.get('maxInputLength')).toBe(900);
+        expect(sentinel.config.get('logLevel')).toBe('error');
+    });
+});
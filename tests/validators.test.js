@@ -0,0 +1,96 @@
+import { luhn, ssn, iban, nanp } from '../src/utils/validators.js';
+import { OutputFilterBasic } from '../src/layers/output-filter-basic.js';
+
+describe('checksum validators', () => {
+    test.each([
+        ['4111 1111 1111 1111', true],
+        ['4111-1111-1111-1111', true],
+        ['5500005555555559', true],
+        ['4111111111111112', false],
+        ['1234', false],
+        ['4111a11111111111', false]
+    ])('luhn(%p) is %p', (value, valid) => {
+        expect(luhn(value)).toBe(valid);
+    });
+
+    test.each([
+        ['123-45-6789', true],
+        ['123456789', true],
+        ['000-12-3456', false],
+        ['666-12-3456', false],
+        ['912-12-3456', false],
+        ['123-00-4567', false],
+        ['123-45-0000', false],
+        ['12-345-678', false]
+    ])('ssn(%p) is %p', (value, valid) => {
+        expect(ssn(value)).toBe(valid);
+    });
+
+    test.each([
+        ['GB82 WEST 1234 5698 7654 32', true],
+        ['DE89370400440532013000', true],
+        ['gb82west12345698765432', true],
+        ['GB82 WEST 1234 5698 7654 33', false],
+        ['GB82', false]
+    ])('iban(%p) is %p', (value, valid) => {
+        expect(iban(value)).toBe(valid);
+    });
+
+    test.each([
+        ['(212) 555-0123', true],
+        ['+1 212-555-0123', true],
+        ['2125550123', true],
+        ['1697040000', false],
+        ['(012) 555-0123', false],
+        ['212-155-0123', false],
+        ['555-0123', false]
+    ])('nanp(%p) is %p', (value, valid) => {
+        expect(nanp(value)).toBe(valid);
+    });
+});
+
+describe('OutputFilterBasic validation', () => {
+    let filter;
+
+    beforeEach(() => {
+        filter = new OutputFilterBasic({});
+    });
+
+    test('redacts structurally valid card numbers, SSNs and IBANs', async () => {
+        const result = await filter.filter('Card 4111 1111 1111 1111, SSN 123-45-6789, IBAN GB82 WEST 1234 5698 7654 32');
+
+        expect(result.output).toBe('Card **** **** **** 1111, SSN XXX-XX-XXXX, IBAN GB** **** **** 5432');
+        expect(result.candidates).toEqual([]);
+        expect(result.redactions.find(r => r.detector === 'creditCard').rationale).toMatch(/passed structural validation/);
+    });
+
+    test('leaves invalid digit runs in place and reports them as candidates', async () => {
+        const text = 'Order 4111 1111 1111 1112 shipped, ticket 900-12-3456';
+        const result = await filter.filter(text);
+
+        expect(result.output).toBe(text);
+        expect(result.filtered).toBe(false);
+        expect(result.candidates).toEqual(expect.arrayContaining([
+            expect.objectContaining({ detector: 'creditCard', count: 1, confidence: 'low' }),
+            expect.objectContaining({ detector: 'ssn', count: 1, confidence: 'low' })
+        ]));
+    });
+
+    test('leaves timestamps that look like phone numbers in place', async () => {
+        const result = await filter.filter('Call 212-555-0123, logged at ts 1697040000');
+
+        expect(result.output).toBe('Call (XXX) XXX-XXXX, logged at ts 1697040000');
+        expect(result.candidates).toEqual([expect.objectContaining({ detector: 'phone', count: 1, confidence: 'low' })]);
+    });
+
+    test('custom detectors can use a named validator', async () => {
+        // Secret detectors run before the built-in PII ones, which would otherwise claim these digits
+        filter.registerDetector({ id: 'cardRef', type: 'secret', pattern: '(?<=card:)\\d{16}', validate: 'luhn' });
+
+        const result = await filter.filter('card:4111111111111111 card:4111111111111112');
+
+        expect(result.output).toBe('card:[REDACTED] card:4111111111111112');
+        expect(result.redactions.find(r => r.detector === 'cardRef').count).toBe(1);
+        expect(result.candidates.find(c => c.detector === 'cardRef').count).toBe(1);
+    });
+});